@@ -8,12 +8,25 @@ import express from 'express';
 import multer from 'multer';
 import fs from 'fs-extra';
 import path from 'path';
-import { spawn } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 import AdmZip from 'adm-zip';
+import yauzl from 'yauzl';
+import { parse as parseModule } from '@babel/parser';
+import Beasties from 'beasties';
+import { minify as minifyHtml } from 'html-minifier-terser';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+import promClient from 'prom-client';
+import SftpClient from 'ssh2-sftp-client';
+import { Client as FtpClient } from 'basic-ftp';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
 import http from 'http';
+import https from 'https';
+import net from 'net';
+import dns from 'dns';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,11 +41,18 @@ const MAX_FILE_SIZE = 100 * 1024 * 1024;
 
 const IS_DOCKER = fs.existsSync('/app/temp');
 const BASE_WORK_DIR = IS_DOCKER ? '/app/temp' : '/tmp';
+// API keys and the download-token secret live in their own directory, readable
+// only by the server user and hidden from sandboxed builds
+const SECRETS_DIR = path.resolve(process.env.SECRETS_DIR || path.join(BASE_WORK_DIR, 'secrets'));
+fs.ensureDirSync(SECRETS_DIR);
+fs.chmodSync(SECRETS_DIR, 0o700);
 
 console.log('='.repeat(60));
 console.log('Theme Factory Build Server v3.1.0');
 console.log(`Mode: ${IS_DOCKER ? 'Docker (HF Spaces)' : 'Local'}`);
 console.log(`Work Dir: ${BASE_WORK_DIR}`);
+console.log(`Secrets Dir: ${SECRETS_DIR}`);
+console.log(`Job Store: ${process.env.JOB_STORE || 'file'}`);
 console.log(`Port: ${PORT}`);
 console.log('='.repeat(60));
 
@@ -75,7 +95,84 @@ const upload = multer({
   limits: { fileSize: MAX_FILE_SIZE },
 });
 
-const jobs = new Map();
+// ══════════════════════════════════════════════════════════════════════════════
+// JOB STORE
+// Any object with the Map methods used below (get/set/has/delete/values/size)
+// can back `jobs`. JOB_STORE=memory keeps the old in-process behaviour.
+// ══════════════════════════════════════════════════════════════════════════════
+const JOB_STORE = process.env.JOB_STORE || 'file';
+const JOBS_DIR = path.join(BASE_WORK_DIR, 'jobs');
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'interrupted', 'cancelled']);
+
+function createMemoryJobStore() {
+  return new Map();
+}
+
+// Write-through cache over one JSON file per job, so a restart can reload every record
+function createFileJobStore(dir) {
+  fs.ensureDirSync(dir);
+  const cache = new Map();
+  const fileFor = (id) => path.join(dir, `${id}.json`);
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const job = fs.readJsonSync(path.join(dir, file));
+      if (job && job.id) cache.set(job.id, job);
+    } catch (e) {
+      console.log(`[JobStore] Skipping unreadable ${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    get: (id) => cache.get(id),
+    has: (id) => cache.has(id),
+    set(id, job) {
+      cache.set(id, job);
+      const tmpPath = `${fileFor(id)}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(job), 'utf-8');
+      fs.renameSync(tmpPath, fileFor(id));
+      return this;
+    },
+    delete(id) {
+      fs.removeSync(fileFor(id));
+      return cache.delete(id);
+    },
+    values: () => cache.values(),
+    get size() { return cache.size; },
+  };
+}
+
+// Jobs that were mid-build when the process died can never finish, and artifacts
+// without a record (e.g. from a memory-store run) are still valid downloads
+function reconcileJobs() {
+  let interrupted = 0;
+  let recovered = 0;
+
+  for (const job of [...jobs.values()]) {
+    if (TERMINAL_STATUSES.has(job.status)) continue;
+    jobs.set(job.id, { ...job, status: 'interrupted', error: 'Server restarted before the build finished' });
+    fs.removeSync(path.join(BASE_WORK_DIR, 'builds', job.id));
+    interrupted++;
+  }
+
+  const outputsDir = path.join(BASE_WORK_DIR, 'outputs');
+  if (fs.existsSync(outputsDir)) {
+    for (const file of fs.readdirSync(outputsDir)) {
+      if (!file.endsWith('.zip')) continue;
+      const jobId = path.basename(file, '.zip');
+      if (jobs.has(jobId)) continue;
+      const { mtimeMs } = fs.statSync(path.join(outputsDir, file));
+      jobs.set(jobId, { id: jobId, status: 'completed', progress: 100, startTime: Math.floor(mtimeMs), recovered: true });
+      recovered++;
+    }
+  }
+
+  console.log(`[JobStore] ${JOB_STORE}: ${jobs.size} jobs (${interrupted} interrupted, ${recovered} recovered from artifacts)`);
+}
+
+const jobs = JOB_STORE === 'memory' ? createMemoryJobStore() : createFileJobStore(JOBS_DIR);
+reconcileJobs();
 
 // ══════════════════════════════════════════════════════════════════════════════
 // PUBLIC ROUTES (no auth)
@@ -99,6 +196,13 @@ app.get('/health', (req, res) => {
     version: '3.1.0',
     platform: 'huggingface-docker',
     activeJobs: jobs.size,
+    runningBuilds,
+    queuedBuilds: buildQueue.length,
+    maxConcurrentBuilds: MAX_CONCURRENT_BUILDS,
+    sandboxMode: SANDBOX_MODE,
+    dependencyCache: { enabled: DEPS_CACHE_ENABLED, ...dependencyCacheStats },
+    deployTargets: Object.keys(DEPLOY_TARGET_TYPES).filter(type => type !== 'directory' || DEPLOY_DIRECTORY_ROOT),
+    storage: storageStats,
     timestamp: new Date().toISOString(),
   });
 });
@@ -110,18 +214,89 @@ function getBaseUrl(req) {
   return `${req.protocol}://${req.get('host')}`;
 }
 
+// A terminal status is final: a late failure (say, extraction erroring after a
+// cancel removed its directory) must not overwrite it or fire a second webhook
 function updateJob(jobId, updates) {
   const job = jobs.get(jobId);
-  if (job) jobs.set(jobId, { ...job, ...updates });
+  if (!job) return;
+  if (updates.status && updates.status !== job.status && TERMINAL_STATUSES.has(job.status)) {
+    console.log(`[Job] ${jobId} is already ${job.status}, ignoring ${updates.status}`);
+    return;
+  }
+  const next = { ...job, ...updates };
+  if (updates.status && updates.status !== job.status) {
+    next.statusChangedAt = Date.now();
+    recordJobTransition(job, next);
+    if (TERMINAL_STATUSES.has(updates.status)) next.finishedAt = next.statusChangedAt;
+    if (updates.status === 'completed') next.expiresAt = next.finishedAt + ARTIFACT_TTL_MS;
+  }
+  jobs.set(jobId, next);
+  if (updates.status && updates.status !== job.status) {
+    publishJobStatus(jobId, updates.status);
+    queueWebhooks(jobId, job.status);
+  }
+}
+
+// Earlier versions kept secret files directly in BASE_WORK_DIR, where build
+// scripts could read them; move them over the first time they're looked up
+function secretFile(name) {
+  const file = path.join(SECRETS_DIR, name);
+  const legacy = path.join(BASE_WORK_DIR, name);
+  if (legacy !== file && fs.existsSync(legacy) && !fs.existsSync(file)) {
+    fs.moveSync(legacy, file);
+    fs.chmodSync(file, 0o600);
+    console.log(`[Secrets] Moved ${legacy} to ${file}`);
+  }
+  return file;
+}
+
+function writeSecretJson(file, data, options = {}) {
+  fs.outputJsonSync(file, data, { ...options, mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+}
+
+// Download links are signed with their own secret, separate from any API key.
+// DOWNLOAD_TOKEN_SECRET / DOWNLOAD_TOKEN_SECRET_PREVIOUS pin it from the
+// environment; otherwise a generated pair is kept in download-secrets.json and
+// rotated through POST /admin/download-secret/rotate. Tokens signed with the
+// previous secret stay valid until they expire.
+const DOWNLOAD_SECRETS_FILE = secretFile('download-secrets.json');
+
+function loadDownloadSecrets() {
+  if (process.env.DOWNLOAD_TOKEN_SECRET) {
+    return { current: process.env.DOWNLOAD_TOKEN_SECRET, previous: process.env.DOWNLOAD_TOKEN_SECRET_PREVIOUS || null, fromEnv: true };
+  }
+  try {
+    const stored = fs.readJsonSync(DOWNLOAD_SECRETS_FILE);
+    if (stored.current) return { current: stored.current, previous: stored.previous || null, fromEnv: false };
+  } catch {}
+  const secrets = { current: crypto.randomBytes(32).toString('hex'), previous: null, fromEnv: false };
+  writeSecretJson(DOWNLOAD_SECRETS_FILE, { current: secrets.current, previous: null });
+  return secrets;
+}
+
+const downloadSecrets = loadDownloadSecrets();
+
+function rotateDownloadSecret() {
+  if (downloadSecrets.fromEnv) throw new Error('Download secret is set from the environment');
+  downloadSecrets.previous = downloadSecrets.current;
+  downloadSecrets.current = crypto.randomBytes(32).toString('hex');
+  writeSecretJson(DOWNLOAD_SECRETS_FILE, { current: downloadSecrets.current, previous: downloadSecrets.previous });
 }
 
 function signDownloadToken(jobId, ttlSeconds = 30 * 60) {
   const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
   const data = `${jobId}.${exp}`;
-  const sig = crypto.createHmac('sha256', API_KEY).update(data).digest('hex');
+  const sig = crypto.createHmac('sha256', downloadSecrets.current).update(data).digest('hex');
   return `${data}.${sig}`;
 }
 
+// Links to a finished build stay valid for as long as its artifact is kept
+function artifactDownloadToken(job) {
+  const ttlSeconds = job.expiresAt ? Math.max(60, Math.ceil((job.expiresAt - Date.now()) / 1000)) : undefined;
+  return signDownloadToken(job.id, ttlSeconds);
+}
+
 function verifyDownloadToken(token) {
   try {
     const parts = token.split('.');
@@ -131,429 +306,4433 @@ function verifyDownloadToken(token) {
     if (!jobId || !exp || !sig) return null;
     if (Math.floor(Date.now() / 1000) > exp) return null;
     const data = `${jobId}.${exp}`;
-    const expected = crypto.createHmac('sha256', API_KEY).update(data).digest('hex');
-    if (expected.length !== sig.length) return null;
-    const ok = crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
-    return ok ? jobId : null;
+    for (const secret of [downloadSecrets.current, downloadSecrets.previous].filter(Boolean)) {
+      const expected = crypto.createHmac('sha256', secret).update(data).digest('hex');
+      if (expected.length !== sig.length) continue;
+      if (crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return jobId;
+    }
+    return null;
   } catch {
     return null;
   }
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
-// AUTH MIDDLEWARE
+// JOB LOGS
+// Lines are buffered in memory while a job runs and appended as NDJSON to
+// logs/<jobId>.ndjson, which stays readable after the job finishes.
 // ══════════════════════════════════════════════════════════════════════════════
-const authenticate = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    console.log('[AUTH] Missing header');
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-  const token = authHeader.substring(7).trim();
-  if (token !== API_KEY) {
-    console.log('[AUTH] Invalid key');
-    return res.status(403).json({ error: 'Invalid API key' });
-  }
-  next();
-};
+const LOGS_DIR = path.join(BASE_WORK_DIR, 'logs');
 
-const authenticateDownload = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.substring(7).trim();
-    if (token === API_KEY) return next();
+const activeLogs = new Map();
+const logSubscribers = new Map();
+
+function logFileFor(jobId) {
+  return path.join(LOGS_DIR, `${jobId}.ndjson`);
+}
+
+// A full disk or a vanished logs dir must not take the server down: the sink is
+// dropped and the job keeps logging to memory and the console
+function openLogFile(jobId, log) {
+  try {
+    fs.ensureDirSync(LOGS_DIR);
+  } catch (err) {
+    console.error(`[Logs] ${jobId}: ${err.message}, not writing ${logFileFor(jobId)}`);
+    return null;
   }
-  const t = (req.query.t || '').toString().trim();
-  if (t) {
-    const tokenJobId = verifyDownloadToken(t);
-    if (tokenJobId && tokenJobId === req.params.jobId) return next();
+  const file = fs.createWriteStream(logFileFor(jobId), { flags: 'a' });
+  file.on('error', (err) => {
+    console.error(`[Logs] ${jobId}: ${err.message}, no longer writing ${logFileFor(jobId)}`);
+    if (log.file === file) log.file = null;
+    if (log.closing) activeLogs.delete(jobId);
+  });
+  return file;
+}
+
+function jobLog(jobId, message, stream = 'info') {
+  (stream === 'error' ? console.error : console.log)(`[${jobId}] ${message}`);
+
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  let log = activeLogs.get(jobId);
+  if (!log) {
+    log = { lines: [], file: null };
+    log.file = openLogFile(jobId, log);
+    activeLogs.set(jobId, log);
   }
-  console.log('[AUTH] Download auth failed');
-  return res.status(403).json({ error: 'Invalid download auth' });
-};
 
-// ══════════════════════════════════════════════════════════════════════════════
-// ASYNC COMMAND EXECUTION
-// ══════════════════════════════════════════════════════════════════════════════
-function runCommand(command, args, cwd, timeoutMs = 10 * 60 * 1000) {
-  return new Promise((resolve, reject) => {
-    console.log(`[CMD] ${command} ${args.join(' ')} in ${cwd}`);
-    const proc = spawn(command, args, {
-      cwd,
-      shell: true,
-      env: {
-        ...process.env,
-        CI: 'false',
-        NODE_ENV: 'development',
-        NODE_OPTIONS: '--max-old-space-size=4096',
-      },
-    });
+  const entry = { id: log.lines.length + 1, time: new Date().toISOString(), phase: job.status, stream, message };
+  log.lines.push(entry);
+  if (log.file) log.file.write(JSON.stringify(entry) + '\n');
 
-    let stdout = '';
-    let stderr = '';
+  for (const notify of logSubscribers.get(jobId) || []) notify({ type: 'log', entry });
+}
 
-    proc.stdout.on('data', (data) => {
-      stdout += data.toString();
-      console.log(data.toString());
-    });
+function publishJobStatus(jobId, status) {
+  for (const notify of logSubscribers.get(jobId) || []) notify({ type: 'status', status });
 
-    proc.stderr.on('data', (data) => {
-      stderr += data.toString();
-      console.log(data.toString());
-    });
+  if (TERMINAL_STATUSES.has(status)) {
+    const log = activeLogs.get(jobId);
+    if (log && log.file) {
+      log.closing = true;
+      log.file.end(() => activeLogs.delete(jobId));
+    } else if (log) {
+      activeLogs.delete(jobId);
+    }
+  }
+}
 
-    const timeout = setTimeout(() => {
-      proc.kill('SIGTERM');
-      reject(new Error(`Timed out after ${timeoutMs}ms`));
-    }, timeoutMs);
+function subscribeJobLog(jobId, notify) {
+  if (!logSubscribers.has(jobId)) logSubscribers.set(jobId, new Set());
+  logSubscribers.get(jobId).add(notify);
+  return () => {
+    const subscribers = logSubscribers.get(jobId);
+    if (!subscribers) return;
+    subscribers.delete(notify);
+    if (subscribers.size === 0) logSubscribers.delete(jobId);
+  };
+}
 
-    proc.on('close', (code) => {
-      clearTimeout(timeout);
-      if (code === 0) resolve({ stdout, stderr });
-      else reject(new Error(`Failed with code ${code}: ${stderr}`));
-    });
+async function readJobLog(jobId) {
+  const log = activeLogs.get(jobId);
+  if (log) return [...log.lines];
 
-    proc.on('error', (err) => {
-      clearTimeout(timeout);
-      reject(err);
-    });
-  });
+  const file = logFileFor(jobId);
+  if (!await fs.pathExists(file)) return [];
+  const raw = await fs.readFile(file, 'utf-8');
+  return raw.split('\n').filter(Boolean).map(line => {
+    try { return JSON.parse(line); } catch { return null; }
+  }).filter(Boolean);
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
-// ROUTE STRIPPING
+// WEBHOOKS
+// Every status change made through updateJob is POSTed to the job's callback
+// URLs, in order per URL. With a callback secret the request carries
+// X-Webhook-Signature: sha256=HMAC(secret, `${X-Webhook-Timestamp}.${body}`).
+// Callbacks are sent from inside the server's network, so they may only reach
+// public addresses: the host is checked when the callback is accepted and
+// again on every attempt, against the address the request actually connects
+// to. WEBHOOK_ALLOWED_HOSTS lists hosts (comma-separated) exempt from the check.
 // ══════════════════════════════════════════════════════════════════════════════
-function stripUnusedRoutes(projectPath, selectedRoutes) {
-  console.log('[RouteStrip] Starting for:', selectedRoutes);
+const WEBHOOK_ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS) || 2000;
+const MAX_RECORDED_DELIVERIES = 50;
 
-  const appTsxPath = path.join(projectPath, 'src', 'App.tsx');
-  const appJsxPath = path.join(projectPath, 'src', 'App.jsx');
-  const appPath = fs.existsSync(appTsxPath) ? appTsxPath : (fs.existsSync(appJsxPath) ? appJsxPath : null);
+const webhookChains = new Map();
 
-  if (!appPath) {
-    console.log('[RouteStrip] No App file found');
-    return false;
-  }
+// Loopback, private, link-local (cloud metadata), CGNAT, unique-local and
+// reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  // BlockList matches IPv4 addresses against an IPv4-mapped IPv6 range
+  // (::ffff:0:0/96), which would block all of them, so mapped ones are refused here
+  if (family === 6 && /^::ffff:/i.test(address)) return false;
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function webhookHostname(url) {
+  return new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+}
 
-  const content = fs.readFileSync(appPath, 'utf-8');
-  const originalContent = content;
-  const lines = content.split('\n');
+// Throws unless every address the host resolves to is public
+async function assertPublicWebhookHost(hostname) {
+  if (WEBHOOK_ALLOWED_HOSTS.has(hostname)) return;
+  const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) throw new Error(`${hostname} resolves to non-public address ${blocked.address}`);
+}
 
-  const normalizedSelected = selectedRoutes.map(r => {
-    if (r === '/' || r === '') return '/';
-    return '/' + r.replace(/^\/+|\/+$/g, '').toLowerCase();
+// dns.lookup for callback requests: the socket connects to an address checked
+// here, so a host re-resolving to an internal address can't slip through
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = !WEBHOOK_ALLOWED_HOSTS.has(hostname.toLowerCase()) && addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(new Error(`${hostname} resolves to non-public address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
   });
+}
 
-  function shouldKeepRoute(routePath) {
-    if (routePath === '*' || routePath === 'index') return true;
-    const normalizedPath = routePath === '/' ? '/' : '/' + routePath.replace(/^\/+|\/+$/g, '').toLowerCase();
-    return normalizedSelected.some(selected => {
-      if (selected === normalizedPath) return true;
-      if (normalizedPath !== '/' && selected.startsWith(normalizedPath + '/')) return true;
-      return false;
+// Resolves with the response status; redirects are not followed
+async function postWebhook(url, headers, body) {
+  await assertPublicWebhookHost(webhookHostname(url));
+  const client = url.startsWith('https:') ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: webhookLookup,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
     });
-  }
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
 
-  const resultLines = [];
-  let skipping = false;
-  let removedCount = 0;
+// Callback secrets live on the job record but never leave the server
+function publicJob(job) {
+  if (!job.webhooks) return job;
+  const { webhooks, ...rest } = job;
+  return { ...rest, webhooks: webhooks.map(({ url, secret }) => ({ url, signed: Boolean(secret) })) };
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
+function recordWebhookDelivery(jobId, delivery) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+  const deliveries = (job.webhookDeliveries || []).filter(d => d.id !== delivery.id);
+  deliveries.push(delivery);
+  updateJob(jobId, { webhookDeliveries: deliveries.slice(-MAX_RECORDED_DELIVERIES) });
+}
 
-    if (skipping) {
-      if (trimmed.endsWith('/>') || trimmed.includes('</Route>')) skipping = false;
-      continue;
-    }
+async function deliverWebhook(jobId, webhook, payload) {
+  const body = JSON.stringify(payload);
+  const delivery = { id: payload.deliveryId, url: webhook.url, status: payload.status, delivered: false, attempts: [] };
 
-    const routeMatch = line.match(/<Route\s+[^>]*path\s*=\s*["']([^"']+)["']/);
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'theme-factory-builder/3.1.0',
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Delivery': payload.deliveryId,
+      'X-Webhook-Timestamp': timestamp,
+    };
+    if (webhook.secret) headers['X-Webhook-Signature'] = signWebhookPayload(webhook.secret, timestamp, body);
 
-    if (routeMatch) {
-      const routePath = routeMatch[1];
-      if (shouldKeepRoute(routePath)) {
-        resultLines.push(line);
-      } else {
-        removedCount++;
-        if (!trimmed.endsWith('/>')) skipping = true;
-      }
-    } else {
-      resultLines.push(line);
+    const started = Date.now();
+    const record = { attempt, at: new Date(started).toISOString() };
+    try {
+      record.statusCode = await postWebhook(webhook.url, headers, body);
+      delivery.delivered = record.statusCode >= 200 && record.statusCode < 300;
+    } catch (err) {
+      record.error = err.message;
     }
-  }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+    recordWebhookDelivery(jobId, delivery);
 
-  if (removedCount > 0) {
-    fs.writeFileSync(appPath + '.original', originalContent, 'utf-8');
-    fs.writeFileSync(appPath, resultLines.join('\n'), 'utf-8');
-    console.log(`[RouteStrip] Removed ${removedCount} routes`);
+    if (delivery.delivered) return;
+    // Other client errors won't change on retry
+    const { statusCode } = record;
+    if (statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429) break;
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) await new Promise(r => setTimeout(r, WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1)));
   }
 
-  return removedCount > 0;
+  console.error(`[Webhook] ${jobId} ${payload.status} → ${webhook.url} failed after ${delivery.attempts.length} attempts`);
 }
 
-// ══════════════════════════════════════════════════════════════════════════════
-// ROUTE GUARD INJECTION
-// ══════════════════════════════════════════════════════════════════════════════
-function findEntryFile(projectPath) {
-  const candidates = ['src/App.tsx', 'src/App.jsx', 'src/App.js', 'src/main.tsx', 'src/main.jsx', 'src/main.js'];
-  for (const candidate of candidates) {
-    const fullPath = path.join(projectPath, candidate);
-    if (fs.existsSync(fullPath)) return fullPath;
+function queueWebhooks(jobId, previousStatus, targets) {
+  const job = jobs.get(jobId);
+  const webhooks = targets || (job && job.webhooks) || [];
+  if (webhooks.length === 0) return;
+
+  const event = {
+    event: 'job.status',
+    jobId,
+    status: job.status,
+    previousStatus: previousStatus || null,
+    progress: job.progress,
+    error: job.error || null,
+    downloadUrl: job.status === 'completed' ? job.downloadUrl || null : null,
+    timestamp: new Date().toISOString(),
+  };
+
+  for (const webhook of webhooks) {
+    const payload = { ...event, deliveryId: uuidv4() };
+    const chainKey = `${jobId} ${webhook.url}`;
+    const next = (webhookChains.get(chainKey) || Promise.resolve())
+      .then(() => deliverWebhook(jobId, webhook, payload))
+      .catch(err => console.error(`[Webhook] ${jobId} delivery error: ${err.message}`));
+    webhookChains.set(chainKey, next);
+    next.then(() => {
+      if (webhookChains.get(chainKey) === next) webhookChains.delete(chainKey);
+    });
   }
-  return null;
 }
 
-function injectRouteGuard(projectPath, selectedRoutes) {
-  console.log('[RouteGuard] Injecting for:', selectedRoutes);
-  
-  const entryFile = findEntryFile(projectPath);
-  if (!entryFile) {
-    console.log('[RouteGuard] No entry file');
-    return false;
-  }
+// ══════════════════════════════════════════════════════════════════════════════
+// METRICS
+// Prometheus exposition for GET /metrics. A phase lasts from one status
+// transition made through updateJob to the next, so every status is a phase.
+// ══════════════════════════════════════════════════════════════════════════════
+const METRICS_MAX_ROUTE_LABELS = Number(process.env.METRICS_MAX_ROUTE_LABELS) || 200;
 
-  let content = fs.readFileSync(entryFile, 'utf-8');
-  if (content.includes('ThemeFactoryRouteGuard')) {
-    console.log('[RouteGuard] Already done');
-    return true;
-  }
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
 
-  const routesJson = JSON.stringify(selectedRoutes);
+const jobsFinishedTotal = new promClient.Counter({
+  name: 'theme_factory_jobs_finished_total',
+  help: 'Jobs that reached a terminal status',
+  labelNames: ['status'],
+  registers: [metricsRegistry],
+});
 
-  const guardCode = `
-// THEME FACTORY ROUTE GUARD
-const TF_ALLOWED_ROUTES = ${routesJson};
-function normalizeRoute(p) {
-  if (!p) return '/';
-  return '/' + p.split('?')[0].split('#')[0].replace(/^\\/+|\\/+$/g, '').toLowerCase();
-}
-function isRouteAllowed(pathname) {
-  const normalized = normalizeRoute(pathname);
-  return TF_ALLOWED_ROUTES.some(r => {
-    const nr = normalizeRoute(r);
-    return normalized === nr || normalized === nr + '/' || normalized + '/' === nr;
-  }) || TF_ALLOWED_ROUTES.some(r => normalizeRoute(r) === '/') && normalized === '/';
-}
-function ThemeFactoryRouteGuard({ children }) {
-  const [allowed, setAllowed] = React.useState(true);
-  React.useEffect(() => {
-    const check = () => setAllowed(isRouteAllowed(window.location.pathname));
-    check();
-    window.addEventListener('popstate', check);
-    const origPush = history.pushState;
-    const origReplace = history.replaceState;
-    history.pushState = function(...a) { origPush.apply(this, a); check(); };
-    history.replaceState = function(...a) { origReplace.apply(this, a); check(); };
-    return () => {
-      window.removeEventListener('popstate', check);
-      history.pushState = origPush;
-      history.replaceState = origReplace;
-    };
-  }, []);
-  if (!allowed) {
-    return React.createElement('div', {
-      style: { display:'flex', flexDirection:'column', alignItems:'center', justifyContent:'center', minHeight:'100vh', fontFamily:'system-ui', background:'#f8fafc', color:'#1e293b' }
-    }, [
-      React.createElement('h1', { key:'t', style:{ fontSize:'6rem', fontWeight:'bold', margin:'0', color:'#cbd5e1' } }, '404'),
-      React.createElement('p', { key:'d', style:{ marginTop:'0.5rem', color:'#64748b' } }, 'Page not available'),
-      React.createElement('a', { key:'l', href:'/', style:{ marginTop:'2rem', padding:'0.75rem 1.5rem', background:'#3b82f6', color:'white', borderRadius:'0.5rem', textDecoration:'none' } }, 'Go Home')
-    ]);
-  }
-  return children;
-}
-`;
+const phaseDurationSeconds = new promClient.Histogram({
+  name: 'theme_factory_phase_duration_seconds',
+  help: 'Time a job spent in each status before its next transition',
+  labelNames: ['phase'],
+  buckets: [0.5, 1, 5, 10, 30, 60, 120, 300, 600, 1200],
+  registers: [metricsRegistry],
+});
 
-  if (!/import\s+(\*\s+as\s+)?React/.test(content)) {
-    content = `import * as React from 'react';\n${content}`;
-  }
+const jobDurationSeconds = new promClient.Histogram({
+  name: 'theme_factory_job_duration_seconds',
+  help: 'Time from submission to a terminal status',
+  labelNames: ['status'],
+  buckets: [5, 15, 30, 60, 120, 300, 600, 1200, 2400],
+  registers: [metricsRegistry],
+});
 
-  const defaultExportMatch = content.match(/export\s+default\s+(function\s+)?(\w+)/);
-  if (defaultExportMatch) {
-    const componentName = defaultExportMatch[2];
-    console.log('[RouteGuard] Wrapping:', componentName);
+const prerenderRoutesTotal = new promClient.Counter({
+  name: 'theme_factory_prerender_routes_total',
+  help: 'Prerendered routes by outcome; dynamic URLs are counted under their pattern',
+  labelNames: ['route', 'result'],
+  registers: [metricsRegistry],
+});
 
-    if (defaultExportMatch[1]) {
-      content = content.replace(/export\s+default\s+function\s+(\w+)\s*\(/, 'function _TF_Original$1(');
-      content += `\n${guardCode}\nexport default function ${componentName}() { return React.createElement(ThemeFactoryRouteGuard, null, React.createElement(_TF_Original${componentName})); }\n`;
-    } else {
-      content = content.replace(/export\s+default\s+\w+\s*;?/, '');
-      content += `\n${guardCode}\nconst _TF_Wrapped = () => React.createElement(ThemeFactoryRouteGuard, null, React.createElement(${componentName}));\nexport default _TF_Wrapped;\n`;
-    }
+const artifactSizeBytes = new promClient.Histogram({
+  name: 'theme_factory_artifact_size_bytes',
+  help: 'Size of packaged build artifacts',
+  buckets: promClient.exponentialBuckets(100 * 1024, 4, 8),
+  registers: [metricsRegistry],
+});
 
-    fs.writeFileSync(entryFile + '.backup', fs.readFileSync(entryFile));
-    fs.writeFileSync(entryFile, content, 'utf-8');
-    console.log('[RouteGuard] Done');
-    return true;
+new promClient.Gauge({
+  name: 'theme_factory_jobs',
+  help: 'Jobs currently held by the job store, by status',
+  labelNames: ['status'],
+  registers: [metricsRegistry],
+  collect() {
+    this.reset();
+    for (const job of jobs.values()) this.inc({ status: job.status });
+  },
+});
+
+new promClient.Gauge({
+  name: 'theme_factory_build_queue_depth',
+  help: 'Builds waiting for a free slot',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(buildQueue.length);
+  },
+});
+
+new promClient.Gauge({
+  name: 'theme_factory_running_builds',
+  help: 'Builds currently running',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(runningBuilds);
+  },
+});
+
+const routeLabels = new Set();
+
+// Route paths come from uploads, so cap how many distinct label values we create
+function routeMetricLabel(route) {
+  if (routeLabels.has(route)) return route;
+  if (routeLabels.size >= METRICS_MAX_ROUTE_LABELS) return '__other__';
+  routeLabels.add(route);
+  return route;
+}
+
+function recordJobTransition(previous, next) {
+  const now = Date.now();
+  const enteredAt = previous.statusChangedAt || previous.startTime;
+  if (enteredAt) phaseDurationSeconds.observe({ phase: previous.status }, (now - enteredAt) / 1000);
+
+  if (TERMINAL_STATUSES.has(next.status)) {
+    jobsFinishedTotal.inc({ status: next.status });
+    if (previous.startTime) jobDurationSeconds.observe({ status: next.status }, (now - previous.startTime) / 1000);
   }
+}
 
-  return false;
+function recordPrerenderMetrics(prerenderResult) {
+  if (prerenderResult.skipped) return;
+  const patterns = new Map((prerenderResult.dynamic || []).map(({ url, pattern }) => [url, pattern]));
+  const label = (route) => routeMetricLabel(patterns.get(route) || route);
+  for (const route of prerenderResult.success) prerenderRoutesTotal.inc({ route: label(route), result: 'success' });
+  for (const { route } of prerenderResult.failed) prerenderRoutesTotal.inc({ route: label(route), result: 'failure' });
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
-// PRERENDERING
+// API KEYS
+// Keys are stored as SHA-256 hashes in api-keys.json; the plaintext is only
+// returned once, when the key is created. API_KEY from the environment stays
+// valid as the `root` key with every scope and no quota.
 // ══════════════════════════════════════════════════════════════════════════════
-function startStaticServer(dir, port) {
-  return new Promise((resolve, reject) => {
-    const mimeTypes = {
-      '.html': 'text/html', '.js': 'application/javascript', '.css': 'text/css',
-      '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg',
-      '.svg': 'image/svg+xml',
-    };
-    const server = http.createServer((req, res) => {
-      let filePath = path.join(dir, req.url === '/' ? 'index.html' : req.url);
-      if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
-        filePath = path.join(dir, 'index.html');
-      }
-      const ext = path.extname(filePath);
-      fs.readFile(filePath, (err, content) => {
-        if (err) { res.writeHead(404); res.end(); }
-        else { res.writeHead(200, { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' }); res.end(content); }
-      });
-    });
-    server.listen(port, '127.0.0.1', () => resolve(server));
-    server.on('error', reject);
-  });
+const API_KEYS_FILE = secretFile('api-keys.json');
+const API_KEY_SCOPES = ['build', 'jobs:read', 'download', 'metrics', 'admin'];
+const ROOT_KEY = { id: 'root', label: 'API_KEY', scopes: API_KEY_SCOPES, dailyBuildQuota: null };
+
+const apiKeys = new Map();
+try {
+  for (const key of fs.readJsonSync(API_KEYS_FILE)) apiKeys.set(key.id, key);
+} catch {}
+
+function saveApiKeys() {
+  const tmpPath = `${API_KEYS_FILE}.tmp`;
+  writeSecretJson(tmpPath, [...apiKeys.values()], { spaces: 2 });
+  fs.renameSync(tmpPath, API_KEYS_FILE);
 }
 
-async function prerenderRoutes(distDir, routes, jobId) {
-  console.log(`[${jobId}][Prerender] Starting for ${routes.length} routes`);
+function hashApiKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-  let chromium;
-  try {
-    const playwright = await import('playwright-chromium');
-    chromium = playwright.chromium;
-  } catch (e) {
-    console.log(`[${jobId}][Prerender] Playwright unavailable`);
-    return { skipped: true };
-  }
+function publicApiKey(key) {
+  const { hash, ...rest } = key;
+  return rest;
+}
 
-  const prerenderPort = 3456 + Math.floor(Math.random() * 1000);
-  let server;
-  try {
-    server = await startStaticServer(distDir, prerenderPort);
-  } catch (e) {
-    return { skipped: true };
+function createApiKey({ label, scopes, dailyBuildQuota }) {
+  const invalid = (scopes || []).filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (!Array.isArray(scopes) || scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`scopes must be a non-empty subset of ${API_KEY_SCOPES.join(', ')}`);
+  }
+  if (dailyBuildQuota != null && !(Number.isInteger(dailyBuildQuota) && dailyBuildQuota >= 0)) {
+    throw new Error('dailyBuildQuota must be a non-negative integer or null');
   }
 
-  let browser;
-  const results = { success: [], failed: [] };
+  const id = crypto.randomBytes(6).toString('hex');
+  const token = `tfk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const key = {
+    id,
+    label: (label || '').toString().slice(0, 100) || id,
+    hash: hashApiKey(token),
+    scopes,
+    dailyBuildQuota: dailyBuildQuota ?? null,
+    usage: { day: null, builds: 0 },
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+  apiKeys.set(id, key);
+  saveApiKeys();
+  return { token, key };
+}
 
-  try {
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
-    });
+function resolveApiKey(token) {
+  if (!token) return null;
+  const rootHash = Buffer.from(hashApiKey(API_KEY));
+  if (crypto.timingSafeEqual(Buffer.from(hashApiKey(token)), rootHash)) return ROOT_KEY;
 
-    const context = await browser.newContext();
+  const match = /^tfk_([0-9a-f]+)_/.exec(token);
+  const key = match && apiKeys.get(match[1]);
+  if (!key || key.revokedAt) return null;
+  const ok = crypto.timingSafeEqual(Buffer.from(hashApiKey(token)), Buffer.from(key.hash));
+  return ok ? key : null;
+}
 
-    for (const route of routes) {
-      const cleanRoute = route.startsWith('/') ? route : `/${route}`;
-      const url = `http://localhost:${prerenderPort}${cleanRoute}`;
+function hasScope(key, scope) {
+  return key.scopes.includes('admin') || key.scopes.includes(scope);
+}
 
-      try {
-        console.log(`[${jobId}][Prerender] ${cleanRoute}`);
-        const page = await context.newPage();
-        await page.goto(url, { waitUntil: 'networkidle', timeout: 30000 });
-        try { await page.waitForSelector('#root', { timeout: 5000 }); } catch {}
-        await page.waitForTimeout(1500);
-
-        const html = await page.content();
-        const outputDir = cleanRoute === '/' ? distDir : path.join(distDir, cleanRoute.slice(1));
-        await fs.ensureDir(outputDir);
-        await fs.writeFile(path.join(outputDir, 'index.html'), html, 'utf-8');
-
-        results.success.push(cleanRoute);
-        await page.close();
-      } catch (err) {
-        results.failed.push({ route: cleanRoute, error: err.message });
-      }
-    }
-  } catch (err) {
-    console.error(`[${jobId}][Prerender] Fatal: ${err.message}`);
+// Counts a build against the key's daily quota; returns false when it is used up
+function consumeBuildQuota(key) {
+  if (key.dailyBuildQuota == null) return true;
+  const today = new Date().toISOString().slice(0, 10);
+  if (key.usage.day !== today) key.usage = { day: today, builds: 0 };
+  if (key.usage.builds >= key.dailyBuildQuota) return false;
+  key.usage.builds++;
+  saveApiKeys();
+  return true;
+}
+
+// Gives back a build charged by consumeBuildQuota that never reached the queue
+function refundBuildQuota(key) {
+  if (key.dailyBuildQuota == null) return;
+  const today = new Date().toISOString().slice(0, 10);
+  if (key.usage.day !== today || key.usage.builds === 0) return;
+  key.usage.builds--;
+  saveApiKeys();
+}
+
+// Keys only see the jobs they created; admin keys see everything
+function canAccessJob(key, job) {
+  return hasScope(key, 'admin') || job.ownerKeyId === key.id;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// AUTH MIDDLEWARE
+// ══════════════════════════════════════════════════════════════════════════════
+function bearerToken(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.substring(7).trim();
+}
+
+const authenticate = (scope) => (req, res, next) => {
+  const token = bearerToken(req);
+  if (!token) {
+    console.log('[AUTH] Missing header');
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+  const key = resolveApiKey(token);
+  if (!key) {
+    console.log('[AUTH] Invalid key');
+    return res.status(403).json({ error: 'Invalid API key' });
+  }
+  if (!hasScope(key, scope)) {
+    console.log(`[AUTH] Key ${key.id} lacks scope ${scope}`);
+    return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  }
+  req.apiKey = key;
+  next();
+};
+
+const authenticateDownload = (req, res, next) => {
+  const key = resolveApiKey(bearerToken(req));
+  if (key && hasScope(key, 'download')) {
+    const job = jobs.get(req.params.jobId);
+    if (!job || canAccessJob(key, job)) return next();
+  }
+  const t = (req.query.t || '').toString().trim();
+  if (t) {
+    const tokenJobId = verifyDownloadToken(t);
+    if (tokenJobId && tokenJobId === req.params.jobId) return next();
+  }
+  console.log('[AUTH] Download auth failed');
+  return res.status(403).json({ error: 'Invalid download auth' });
+};
+
+// ══════════════════════════════════════════════════════════════════════════════
+// UPLOAD VALIDATION
+// Uploads are inspected from the central directory before a job exists, then
+// extracted entry by entry so nothing is written outside the build directory.
+// ══════════════════════════════════════════════════════════════════════════════
+const MAX_ZIP_ENTRIES = Number(process.env.MAX_ZIP_ENTRIES) || 20000;
+const MAX_UNCOMPRESSED_SIZE = Number(process.env.MAX_UNCOMPRESSED_SIZE) || 500 * 1024 * 1024;
+const MAX_COMPRESSION_RATIO = Number(process.env.MAX_COMPRESSION_RATIO) || 100;
+const RATIO_CHECK_MIN_SIZE = 1024 * 1024;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function uploadError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  err.isUploadError = true;
+  return err;
+}
+
+function sendUploadError(res, error) {
+  const body = { error: error.message, code: error.code };
+  if (error.details) body.details = error.details;
+  return res.status(400).json(body);
+}
+
+// The zip ends up in req.file; any extra file fields (brand assets) stay in req.files
+function acceptZipUpload(extraFileFields = []) {
+  const fields = [{ name: 'zip', maxCount: 1 }, ...extraFileFields.map(name => ({ name, maxCount: 1 }))];
+  return (req, res, next) => {
+    upload.fields(fields)(req, res, (err) => {
+      if (!err) {
+        req.file = req.files && req.files.zip ? req.files.zip[0] : undefined;
+        return next();
+      }
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Upload exceeds ${MAX_FILE_SIZE} bytes`, code: 'ZIP_TOO_LARGE' });
+      }
+      res.status(400).json({ error: `Invalid upload: ${err.message}${err.field ? ` (${err.field})` : ''}`, code: 'UPLOAD_INVALID' });
+    });
+  };
+}
+
+function openZip(buffer) {
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, decodeStrings: false, validateEntrySizes: true }, (err, zipfile) => {
+      if (err) reject(err);
+      else resolve(zipfile);
+    });
+  });
+}
+
+// Calls onEntry(entry, name) for every entry, one at a time. Returning false stops early.
+function forEachZipEntry(zipfile, onEntry) {
+  return new Promise((resolve, reject) => {
+    const fail = (err) => {
+      zipfile.close();
+      reject(err);
+    };
+    zipfile.on('error', fail);
+    zipfile.on('end', resolve);
+    zipfile.on('entry', async (entry) => {
+      try {
+        const name = entry.fileName.toString('utf-8').replace(/\\/g, '/');
+        if (await onEntry(entry, name) === false) {
+          zipfile.close();
+          return resolve();
+        }
+        zipfile.readEntry();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    zipfile.readEntry();
+  });
+}
+
+function isIgnoredZipEntry(name) {
+  return name.startsWith('__MACOSX/') || name.split('/').pop() === '.DS_Store';
+}
+
+function checkZipEntry(entry, name) {
+  if (name.includes('\0')) {
+    throw uploadError('ZIP_INVALID_PATH', 'Zip entry name contains a NUL byte', { entry: name.replace(/\0/g, '\\0') });
+  }
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    throw uploadError('ZIP_ABSOLUTE_PATH', `Zip entry has an absolute path: ${name}`, { entry: name });
+  }
+  if (name.split('/').includes('..')) {
+    throw uploadError('ZIP_PATH_TRAVERSAL', `Zip entry escapes the project directory: ${name}`, { entry: name });
+  }
+  if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+    throw uploadError('ZIP_SYMLINK', `Zip entry is a symbolic link: ${name}`, { entry: name });
+  }
+  if (entry.generalPurposeBitFlag & 0x1) {
+    throw uploadError('ZIP_ENCRYPTED', `Zip entry is encrypted: ${name}`, { entry: name });
+  }
+  if (entry.uncompressedSize > RATIO_CHECK_MIN_SIZE &&
+      entry.uncompressedSize / Math.max(entry.compressedSize, 1) > MAX_COMPRESSION_RATIO) {
+    throw uploadError('ZIP_COMPRESSION_RATIO', `Zip entry is compressed beyond the ${MAX_COMPRESSION_RATIO}:1 limit: ${name}`, {
+      entry: name,
+      compressedSize: entry.compressedSize,
+      uncompressedSize: entry.uncompressedSize,
+    });
+  }
+}
+
+async function inspectZipUpload(file) {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw uploadError('ZIP_MISSING', 'Missing zip upload (multipart field "zip")');
+  }
+
+  let zipfile;
+  try {
+    zipfile = await openZip(file.buffer);
+  } catch (err) {
+    throw uploadError('ZIP_INVALID', `Upload is not a readable zip archive: ${err.message}`);
+  }
+
+  if (zipfile.entryCount > MAX_ZIP_ENTRIES) {
+    zipfile.close();
+    throw uploadError('ZIP_TOO_MANY_ENTRIES', `Zip has ${zipfile.entryCount} entries, limit is ${MAX_ZIP_ENTRIES}`, {
+      entryCount: zipfile.entryCount,
+      limit: MAX_ZIP_ENTRIES,
+    });
+  }
+
+  const files = [];
+  const entries = [];
+  let compressedSize = 0;
+  let uncompressedSize = 0;
+  try {
+    await forEachZipEntry(zipfile, (entry, name) => {
+      if (isIgnoredZipEntry(name)) return;
+      checkZipEntry(entry, name);
+      if (name.endsWith('/')) return;
+
+      files.push(name);
+      entries.push({ name, crc32: entry.crc32, size: entry.uncompressedSize });
+      compressedSize += entry.compressedSize;
+      uncompressedSize += entry.uncompressedSize;
+      if (uncompressedSize > MAX_UNCOMPRESSED_SIZE) {
+        throw uploadError('ZIP_TOO_LARGE', `Zip expands beyond ${MAX_UNCOMPRESSED_SIZE} bytes`, { limit: MAX_UNCOMPRESSED_SIZE });
+      }
+    });
+  } catch (err) {
+    if (err.isUploadError) throw err;
+    throw uploadError('ZIP_INVALID', `Upload is not a readable zip archive: ${err.message}`);
+  }
+
+  if (uncompressedSize > RATIO_CHECK_MIN_SIZE && uncompressedSize / Math.max(compressedSize, 1) > MAX_COMPRESSION_RATIO) {
+    throw uploadError('ZIP_COMPRESSION_RATIO', `Zip is compressed beyond the ${MAX_COMPRESSION_RATIO}:1 limit`, {
+      compressedSize,
+      uncompressedSize,
+    });
+  }
+
+  const topLevel = new Set(files.map(name => name.split('/')[0]));
+  const [onlyEntry] = topLevel;
+  let prefix = null;
+  if (files.includes('package.json')) prefix = '';
+  else if (topLevel.size === 1 && files.includes(`${onlyEntry}/package.json`)) prefix = `${onlyEntry}/`;
+  if (prefix === null) {
+    throw uploadError('ZIP_NO_PACKAGE_JSON', 'Zip must contain package.json at its root or inside a single top-level folder');
+  }
+
+  return { prefix, files, entries, entryCount: zipfile.entryCount, compressedSize, uncompressedSize };
+}
+
+async function extractZipUpload(buffer, destDir) {
+  const root = path.resolve(destDir);
+  const zipfile = await openZip(buffer);
+  let written = 0;
+
+  await forEachZipEntry(zipfile, async (entry, name) => {
+    if (isIgnoredZipEntry(name)) return;
+    checkZipEntry(entry, name);
+
+    const target = path.resolve(root, name);
+    if (target !== root && !target.startsWith(root + path.sep)) {
+      throw uploadError('ZIP_PATH_TRAVERSAL', `Zip entry escapes the project directory: ${name}`, { entry: name });
+    }
+    if (name.endsWith('/')) {
+      await fs.ensureDir(target);
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(target));
+    const source = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+    });
+    source.on('data', (chunk) => {
+      written += chunk.length;
+      if (written > MAX_UNCOMPRESSED_SIZE) {
+        source.destroy(uploadError('ZIP_TOO_LARGE', `Zip expands beyond ${MAX_UNCOMPRESSED_SIZE} bytes`));
+      }
+    });
+    await pipeline(source, fs.createWriteStream(target, { mode: 0o644 }));
+  });
+
+  return written;
+}
+
+// Reads the given entry names as UTF-8 text without extracting anything else.
+async function readZipTextFiles(buffer, names) {
+  const wanted = new Set(names);
+  const contents = new Map();
+  const zipfile = await openZip(buffer);
+
+  await forEachZipEntry(zipfile, async (entry, name) => {
+    if (!wanted.has(name)) return;
+    const stream = await new Promise((resolve, reject) => {
+      zipfile.openReadStream(entry, (err, s) => (err ? reject(err) : resolve(s)));
+    });
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    contents.set(name, Buffer.concat(chunks).toString('utf-8'));
+    return contents.size < wanted.size;
+  });
+
+  return contents;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ASYNC COMMAND EXECUTION
+// ══════════════════════════════════════════════════════════════════════════════
+function runCommand(command, args, cwd, { timeoutMs = 10 * 60 * 1000, onOutput, signal, env } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(new Error('Cancelled'));
+
+    console.log(`[CMD] ${command} ${args.join(' ')} in ${cwd}`);
+    const proc = spawn(command, args, {
+      cwd,
+      shell: true,
+      // Own process group, so the shell and everything npm spawns can be killed together
+      detached: true,
+      env: env || {
+        ...process.env,
+        CI: 'false',
+        NODE_ENV: 'development',
+        NODE_OPTIONS: '--max-old-space-size=4096',
+      },
+    });
+
+    let stdout = '';
+    let stderr = '';
+
+    // Output chunks don't respect line boundaries, so hold back the trailing partial line
+    const pending = { stdout: '', stderr: '' };
+    const emitLines = (stream, text, flush = false) => {
+      if (!onOutput) return;
+      const lines = (pending[stream] + text).split(/\r?\n/);
+      pending[stream] = flush ? '' : lines.pop();
+      for (const line of lines) if (line.trim()) onOutput(line, stream);
+    };
+
+    proc.stdout.on('data', (data) => {
+      stdout += data.toString();
+      if (onOutput) emitLines('stdout', data.toString());
+      else console.log(data.toString());
+    });
+
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+      if (onOutput) emitLines('stderr', data.toString());
+      else console.log(data.toString());
+    });
+
+    const killTree = (sig) => {
+      try { process.kill(-proc.pid, sig); } catch { proc.kill(sig); }
+    };
+    const terminate = () => {
+      killTree('SIGTERM');
+      setTimeout(() => killTree('SIGKILL'), 5000).unref();
+    };
+
+    const onAbort = () => {
+      terminate();
+      reject(new Error('Cancelled'));
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    const timeout = setTimeout(() => {
+      terminate();
+      reject(new Error(`Timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+
+    proc.on('close', (code) => {
+      clearTimeout(timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      emitLines('stdout', '', true);
+      emitLines('stderr', '', true);
+      if (code === 0) resolve({ stdout, stderr });
+      else reject(new Error(`Failed with code ${code}: ${stderr}`));
+    });
+
+    proc.on('error', (err) => {
+      clearTimeout(timeout);
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// DEPENDENCY CACHE
+// node_modules snapshots keyed by lockfile + dependency fields, plus a package
+// manager download cache for misses. Install and build scripts can write
+// anything into node_modules, and outside isolated mode they can reach the
+// cache directories too, so both are shared across API keys only when scripts
+// are off and bubblewrap keeps the build away from the cache.
+// ══════════════════════════════════════════════════════════════════════════════
+const DEPS_CACHE_ENABLED = process.env.DEPS_CACHE !== 'off';
+const DEPS_CACHE_DIR = path.join(BASE_WORK_DIR, 'deps-cache');
+const DEPS_SNAPSHOTS_DIR = path.join(DEPS_CACHE_DIR, 'modules');
+const DEPS_PACKAGES_DIR = path.join(DEPS_CACHE_DIR, 'packages');
+const DEPS_CACHE_MAX_ENTRIES = Number(process.env.DEPS_CACHE_MAX_ENTRIES) || 10;
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies', 'overrides', 'resolutions', 'pnpm', 'packageManager'];
+const INSTALL_SCRIPT_FIELDS = ['preinstall', 'install', 'postinstall', 'prepare'];
+
+const dependencyCacheStats = { hits: 0, misses: 0 };
+
+function dependencyCacheScope(ownerKeyId, ignoreScripts) {
+  return ignoreScripts && SANDBOX_MODE === 'isolated' ? 'shared' : `key-${ownerKeyId || 'anonymous'}`;
+}
+
+function packageCacheDir(scope) {
+  return path.join(DEPS_PACKAGES_DIR, scope);
+}
+
+async function dependencyCacheKey(projectRoot, packageManager, scope) {
+  const pkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({
+    scope,
+    packageManager: packageManager.name,
+    node: process.versions.node.split('.')[0],
+    platform: `${process.platform}-${process.arch}`,
+    dependencies: DEPENDENCY_FIELDS.map(field => pkg[field] ?? null),
+    scripts: INSTALL_SCRIPT_FIELDS.map(field => (pkg.scripts || {})[field] ?? null),
+  }));
+  if (packageManager.lockfile) hash.update(await fs.readFile(path.join(projectRoot, packageManager.lockfile)));
+  return hash.digest('hex').slice(0, 32);
+}
+
+async function restoreDependencies(projectRoot, key) {
+  const snapshot = path.join(DEPS_SNAPSHOTS_DIR, key);
+  if (!await fs.pathExists(path.join(snapshot, 'node_modules'))) return false;
+
+  const target = path.join(projectRoot, 'node_modules');
+  try {
+    await fs.copy(path.join(snapshot, 'node_modules'), target);
+  } catch (err) {
+    // Most likely pruned mid-copy; the caller falls back to a normal install
+    console.error(`[DepsCache] Restore of ${key} failed: ${err.message}`);
+    await fs.remove(target).catch(() => {});
+    return false;
+  }
+
+  const metaFile = path.join(snapshot, 'meta.json');
+  const meta = await fs.readJson(metaFile).catch(() => ({ key }));
+  await fs.writeJson(metaFile, { ...meta, hits: (meta.hits || 0) + 1, lastUsedAt: Date.now() }).catch(() => {});
+  return true;
+}
+
+async function saveDependencies(projectRoot, key, details) {
+  const source = path.join(projectRoot, 'node_modules');
+  // Plug'n'Play installs keep no node_modules, nothing to snapshot
+  if (!await fs.pathExists(source) || await fs.pathExists(path.join(projectRoot, '.pnp.cjs'))) return false;
+
+  const target = path.join(DEPS_SNAPSHOTS_DIR, key);
+  if (await fs.pathExists(target)) return false;
+
+  const staging = `${target}.tmp-${uuidv4()}`;
+  try {
+    await fs.copy(source, path.join(staging, 'node_modules'));
+    await fs.writeJson(path.join(staging, 'meta.json'), { key, ...details, hits: 0, createdAt: Date.now(), lastUsedAt: Date.now() });
+    await fs.rename(staging, target);
+  } catch (err) {
+    await fs.remove(staging).catch(() => {});
+    // Another job with the same dependencies got there first
+    if (await fs.pathExists(target)) return false;
+    throw err;
+  }
+
+  await pruneDependencyCache(key);
+  return true;
+}
+
+async function pruneDependencyCache(keepKey) {
+  const names = await fs.readdir(DEPS_SNAPSHOTS_DIR).catch(() => []);
+  const entries = [];
+  for (const name of names) {
+    if (name.includes('.tmp-')) continue;
+    const meta = await fs.readJson(path.join(DEPS_SNAPSHOTS_DIR, name, 'meta.json')).catch(() => ({}));
+    entries.push({ name, lastUsedAt: meta.lastUsedAt || 0 });
+  }
+  entries.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  for (const entry of entries.slice(DEPS_CACHE_MAX_ENTRIES)) {
+    if (entry.name === keepKey) continue;
+    console.log(`[DepsCache] Evicting ${entry.name}`);
+    await fs.remove(path.join(DEPS_SNAPSHOTS_DIR, entry.name)).catch(() => {});
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// SANDBOX
+// Install and build scripts come from the upload, so they never see the
+// server's environment. SANDBOX_MODE:
+//   off        - legacy behaviour, full server environment
+//   restricted - allowlisted environment, HOME/TMPDIR inside the job, rlimits;
+//                scripts can still read anything the server user can
+//   isolated   - restricted + bubblewrap: only the job directory is writable,
+//                other jobs, secrets and the server source are hidden
+// Without SANDBOX_MODE the server uses isolated where bubblewrap can create its
+// namespaces and falls back to restricted (with a warning) where it can't, as
+// in containers under Docker's default seccomp profile. An explicit
+// SANDBOX_MODE=isolated refuses to start without bubblewrap instead.
+// ══════════════════════════════════════════════════════════════════════════════
+const SANDBOX_MODES = ['off', 'restricted', 'isolated'];
+const SANDBOX_MODE_SET = SANDBOX_MODES.includes(process.env.SANDBOX_MODE);
+const bubblewrapError = SANDBOX_MODE_SET && process.env.SANDBOX_MODE !== 'isolated' ? null : probeBubblewrap();
+const SANDBOX_MODE = SANDBOX_MODE_SET ? process.env.SANDBOX_MODE : (bubblewrapError ? 'restricted' : 'isolated');
+const SANDBOX_MEMORY_MB = Number(process.env.SANDBOX_MEMORY_MB) || 4096;
+const SANDBOX_CPU_SECONDS = Number(process.env.SANDBOX_CPU_SECONDS) || 30 * 60;
+const INSTALL_TIMEOUT_MS = Number(process.env.INSTALL_TIMEOUT_MS) || 10 * 60 * 1000;
+const BUILD_TIMEOUT_MS = Number(process.env.BUILD_TIMEOUT_MS) || 10 * 60 * 1000;
+const IGNORE_INSTALL_SCRIPTS = process.env.IGNORE_INSTALL_SCRIPTS === 'true';
+const SANDBOX_ENV_PASSTHROUGH = [
+  'PATH', 'LANG', 'LC_ALL', 'TZ', 'TERM',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy',
+  'npm_config_registry',
+];
+
+function shellQuote(arg) {
+  return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`;
+}
+
+function sandboxPaths(jobDir) {
+  const root = path.join(jobDir, '.sandbox');
+  return { root, home: path.join(root, 'home'), tmp: path.join(root, 'tmp') };
+}
+
+async function prepareSandbox(jobDir) {
+  const dirs = sandboxPaths(jobDir);
+  await fs.ensureDir(dirs.home);
+  await fs.ensureDir(dirs.tmp);
+  return dirs;
+}
+
+// cacheDir is the package manager download cache; without one each job gets a private cache
+function sandboxEnv(jobDir, cacheDir) {
+  const dirs = sandboxPaths(jobDir);
+  const packageCache = cacheDir || path.join(dirs.home, '.cache');
+  const env = {};
+  for (const name of SANDBOX_ENV_PASSTHROUGH) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  return {
+    ...env,
+    HOME: dirs.home,
+    TMPDIR: dirs.tmp,
+    npm_config_cache: path.join(packageCache, 'npm'),
+    npm_config_store_dir: path.join(packageCache, 'pnpm-store'),
+    YARN_CACHE_FOLDER: path.join(packageCache, 'yarn'),
+    npm_config_update_notifier: 'false',
+    COREPACK_HOME: path.join(dirs.home, '.corepack'),
+    COREPACK_ENABLE_DOWNLOAD_PROMPT: '0',
+    CI: 'false',
+    NODE_ENV: 'development',
+    // Leave headroom under the data limit so V8 fails with a readable OOM first
+    NODE_OPTIONS: `--max-old-space-size=${Math.floor(SANDBOX_MEMORY_MB * 0.75)}`,
+  };
+}
+
+function bubblewrapArgs(jobDir, cwd, cacheDir) {
+  const hidden = [...new Set([__dirname, BASE_WORK_DIR, SECRETS_DIR, DEPLOY_DIRECTORY_ROOT].filter(Boolean))];
+  return [
+    '--ro-bind', '/', '/',
+    '--dev', '/dev',
+    '--proc', '/proc',
+    ...hidden.flatMap(dir => ['--tmpfs', dir]),
+    '--bind', jobDir, jobDir,
+    ...(cacheDir ? ['--bind', cacheDir, cacheDir] : []),
+    '--unshare-pid', '--unshare-ipc', '--unshare-uts',
+    '--new-session', '--die-with-parent',
+    '--chdir', cwd,
+  ];
+}
+
+// Returns the command line runCommand should execute (it spawns with shell: true)
+function sandboxCommand(command, args, cwd, jobDir, cacheDir) {
+  if (SANDBOX_MODE === 'off') return { command, args };
+
+  const limits = `ulimit -t ${SANDBOX_CPU_SECONDS} && ulimit -d ${SANDBOX_MEMORY_MB * 1024}`;
+  const inner = `${limits} && exec ${[command, ...args].map(shellQuote).join(' ')}`;
+  if (SANDBOX_MODE === 'restricted') return { command: inner, args: [] };
+
+  return {
+    command: 'bwrap',
+    args: [...bubblewrapArgs(jobDir, cwd, cacheDir).map(shellQuote), 'sh', '-c', shellQuote(inner)],
+  };
+}
+
+// Returns why bwrap can't run here, or null when it can
+function probeBubblewrap() {
+  const probe = spawnSync('bwrap', [
+    '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc',
+    '--unshare-pid', '--die-with-parent', 'true',
+  ], { stdio: 'pipe', timeout: 10000 });
+  if (!probe.error && probe.status === 0) return null;
+  return probe.error ? probe.error.message : probe.stderr.toString().trim() || `exit code ${probe.status}`;
+}
+
+// Builds would all fail if an explicitly requested bwrap can't run, so that
+// stops the server; otherwise the weaker mode is announced loudly
+function checkSandbox() {
+  if (SANDBOX_MODE === 'isolated' && bubblewrapError) {
+    console.error(`[Sandbox] SANDBOX_MODE=isolated needs bubblewrap (bwrap), but it can't run here: ${bubblewrapError}`);
+    console.error('[Sandbox] Install bubblewrap and allow unprivileged user namespaces, or unset SANDBOX_MODE to fall back to restricted');
+    process.exit(1);
+  }
+  if (SANDBOX_MODE === 'isolated') return;
+  console.warn('!'.repeat(60));
+  if (!SANDBOX_MODE_SET) console.warn(`! [Sandbox] bubblewrap can't run here (${bubblewrapError}), falling back to SANDBOX_MODE=restricted`);
+  console.warn(`! [Sandbox] SANDBOX_MODE=${SANDBOX_MODE}: build scripts can read every file the server user can, including ${SECRETS_DIR}`);
+  console.warn('!'.repeat(60));
+}
+
+function runSandboxed(command, args, cwd, jobDir, { cacheDir, ...options } = {}) {
+  const wrapped = sandboxCommand(command, args, cwd, jobDir, cacheDir);
+  const env = SANDBOX_MODE === 'off' ? undefined : sandboxEnv(jobDir, cacheDir);
+  return runCommand(wrapped.command, wrapped.args, cwd, { ...options, env });
+}
+
+const PACKAGE_MANAGER_LOCKFILES = {
+  pnpm: ['pnpm-lock.yaml'],
+  yarn: ['yarn.lock'],
+  npm: ['package-lock.json', 'npm-shrinkwrap.json'],
+};
+
+// Honors whichever lockfile the project ships; without one, falls back to a plain
+// npm install. `preferred` pins the package manager and only looks for its lockfile.
+async function detectPackageManager(projectRoot, preferred) {
+  const has = (file) => fs.pathExists(path.join(projectRoot, file));
+
+  let name = preferred || 'npm';
+  let lockfile = null;
+  for (const candidate of preferred ? [preferred] : ['pnpm', 'yarn', 'npm']) {
+    for (const file of PACKAGE_MANAGER_LOCKFILES[candidate]) {
+      if (await has(file)) {
+        name = candidate;
+        lockfile = file;
+        break;
+      }
+    }
+    if (lockfile) break;
+  }
+
+  if (name === 'pnpm') {
+    return { name, lockfile, install: ['corepack', ['pnpm', 'install', ...(lockfile ? ['--frozen-lockfile'] : [])]], run: ['corepack', ['pnpm', 'run']] };
+  }
+  if (name === 'yarn') {
+    const berry = await has('.yarnrc.yml');
+    const frozen = berry ? '--immutable' : '--frozen-lockfile';
+    return {
+      name: berry ? 'yarn-berry' : 'yarn',
+      lockfile,
+      install: ['corepack', ['yarn', 'install', ...(lockfile ? [frozen] : [])]],
+      run: ['corepack', ['yarn', 'run']],
+    };
+  }
+  return { name: 'npm', lockfile, install: ['npm', [lockfile ? 'ci' : 'install', '--legacy-peer-deps']], run: ['npm', ['run']] };
+}
+
+function installCommand(packageManager, ignoreScripts) {
+  const [command, args] = packageManager.install;
+  if (!ignoreScripts) return [command, args];
+  // Berry has no --ignore-scripts flag, only the enableScripts setting
+  if (packageManager.name === 'yarn-berry') return ['env', ['YARN_ENABLE_SCRIPTS=false', command, ...args]];
+  return [command, [...args, '--ignore-scripts']];
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// PROJECT DETECTION
+// Works out where the app lives (plain project or a workspace package), which
+// framework built it, and so where its output and base path are. Every field
+// can be overridden per build; see parseProjectOverrides.
+// ══════════════════════════════════════════════════════════════════════════════
+const FRAMEWORK_CONFIG_FILES = {
+  next: ['next.config.js', 'next.config.mjs', 'next.config.cjs', 'next.config.ts'],
+  astro: ['astro.config.mjs', 'astro.config.js', 'astro.config.ts', 'astro.config.mts'],
+  vite: ['vite.config.ts', 'vite.config.js', 'vite.config.mjs', 'vite.config.mts', 'vite.config.cjs'],
+};
+const FALLBACK_OUTPUT_DIRS = ['dist', 'build', 'out'];
+
+async function readFirstFile(dir, names) {
+  for (const name of names) {
+    const content = await fs.readFile(path.join(dir, name), 'utf-8').catch(() => null);
+    if (content !== null) return { name, content };
+  }
+  return null;
+}
+
+// Config files are code, so this only reads plain string literals like `outDir: 'public'`
+function configString(config, key) {
+  if (!config) return null;
+  const match = config.content.match(new RegExp(`\\b${key}\\s*:\\s*(['"\`])([^'"\`]*)\\1`));
+  return match ? match[2] : null;
+}
+
+function normalizeBasePath(value) {
+  const trimmed = (value || '/').toString().trim().replace(/^\.?\/*/, '').replace(/\/+$/, '');
+  return trimmed ? `/${trimmed}` : '/';
+}
+
+function isInsideRelativePath(value) {
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/'));
+  return !path.posix.isAbsolute(normalized) && normalized !== '..' && !normalized.startsWith('../');
+}
+
+// outDir/distDir come from the uploaded config, and the output folder is later
+// removed and packaged, so only folders below the app are accepted
+function configOutputDir(config, key, fallback, warnings) {
+  const value = configString(config, key);
+  if (!value) return fallback;
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/')).replace(/\/$/, '');
+  if (isInsideRelativePath(value) && normalized !== '.') return normalized;
+  warnings.push(`Ignoring ${key} "${value}" from ${config.name}: it must be a folder inside the app`);
+  return fallback;
+}
+
+// Resolves a build output folder under appRoot, refusing anything that escapes
+// it (through .. or a symlink shipped in the upload)
+async function appOutputPath(appRoot, outputDir) {
+  const root = await fs.realpath(appRoot);
+  const target = path.resolve(root, outputDir);
+  const real = await fs.realpath(target).catch(() => target);
+  if (!real.startsWith(root + path.sep)) throw new Error(`Output directory ${outputDir} resolves outside the app`);
+  return target;
+}
+
+async function listWorkspacePackages(projectRoot, pkg) {
+  const patterns = Array.isArray(pkg.workspaces) ? [...pkg.workspaces] : [...((pkg.workspaces && pkg.workspaces.packages) || [])];
+  const pnpmWorkspace = await fs.readFile(path.join(projectRoot, 'pnpm-workspace.yaml'), 'utf-8').catch(() => null);
+  if (pnpmWorkspace) {
+    for (const match of pnpmWorkspace.matchAll(/^\s*-\s*['"]?([^'"\n#]+?)['"]?\s*$/gm)) patterns.push(match[1]);
+  }
+
+  const packages = new Set();
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!') || !isInsideRelativePath(pattern)) continue;
+    // Only trailing wildcards (apps/*, packages/**) are expanded, one level deep
+    const wildcard = pattern.match(/^(.*?)\/\*{1,2}$/);
+    const dirs = wildcard
+      ? (await fs.readdir(path.join(projectRoot, wildcard[1])).catch(() => [])).map(name => path.posix.join(wildcard[1], name))
+      : [path.posix.normalize(pattern)];
+    for (const dir of dirs) {
+      if (await fs.pathExists(path.join(projectRoot, dir, 'package.json'))) packages.add(dir);
+    }
+  }
+  return [...packages].sort();
+}
+
+async function detectFramework(appRoot, pkg) {
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+  if (deps.next) return 'next';
+  if (deps.astro) return 'astro';
+  if (deps.vite || await readFirstFile(appRoot, FRAMEWORK_CONFIG_FILES.vite)) return 'vite';
+  if (deps['react-scripts']) return 'cra';
+  return null;
+}
+
+async function frameworkDefaults(appRoot, framework, pkg) {
+  const warnings = [];
+  if (framework === 'next') {
+    const config = await readFirstFile(appRoot, FRAMEWORK_CONFIG_FILES.next);
+    const staticExport = (config && /\boutput\s*:\s*['"]export['"]/.test(config.content)) || /\bnext export\b/.test((pkg.scripts || {}).build || '');
+    if (!staticExport) warnings.push('next.config does not set output: "export"; the build may not produce static files');
+    return { outputDir: staticExport ? configOutputDir(config, 'distDir', 'out', warnings) : 'out', basePath: configString(config, 'basePath'), config: config && config.name, warnings };
+  }
+  if (framework === 'astro' || framework === 'vite') {
+    const config = await readFirstFile(appRoot, FRAMEWORK_CONFIG_FILES[framework]);
+    return { outputDir: configOutputDir(config, 'outDir', 'dist', warnings), basePath: configString(config, 'base'), config: config && config.name, warnings };
+  }
+  if (framework === 'cra') {
+    let basePath = process.env.PUBLIC_URL || null;
+    if (!basePath && pkg.homepage) {
+      try { basePath = new URL(pkg.homepage, 'http://localhost').pathname; } catch { warnings.push(`Ignoring invalid homepage: ${pkg.homepage}`); }
+    }
+    return { outputDir: 'build', basePath, config: null, warnings };
+  }
+  return { outputDir: null, basePath: null, config: null, warnings };
+}
+
+// With several workspace packages, the app is the first one a framework was
+// detected in, preferring ones with a build script and ones under apps/
+async function pickWorkspaceApp(projectRoot, packages) {
+  const candidates = [];
+  for (const dir of packages) {
+    const pkg = await fs.readJson(path.join(projectRoot, dir, 'package.json')).catch(() => ({}));
+    const framework = await detectFramework(path.join(projectRoot, dir), pkg);
+    if (!framework) continue;
+    const rank = (pkg.scripts && pkg.scripts.build ? 0 : 2) + (dir.startsWith('apps/') ? 0 : 1);
+    candidates.push({ dir, rank });
+  }
+  candidates.sort((a, b) => a.rank - b.rank || a.dir.localeCompare(b.dir));
+  return candidates.length > 0 ? candidates[0].dir : null;
+}
+
+async function detectProject(projectRoot, overrides = {}) {
+  const rootPkg = await fs.readJson(path.join(projectRoot, 'package.json'));
+  const packages = await listWorkspacePackages(projectRoot, rootPkg);
+
+  const appDir = overrides.projectDir || (packages.length > 0 && await pickWorkspaceApp(projectRoot, packages)) || '.';
+  const appRoot = path.join(projectRoot, appDir);
+  if (!await fs.pathExists(path.join(appRoot, 'package.json'))) {
+    throw new Error(`No package.json in project directory ${appDir}`);
+  }
+  const pkg = appDir === '.' ? rootPkg : await fs.readJson(path.join(appRoot, 'package.json'));
+
+  const framework = await detectFramework(appRoot, pkg);
+  const defaults = await frameworkDefaults(appRoot, framework, pkg);
+  const packageManager = await detectPackageManager(projectRoot, overrides.packageManager);
+
+  // A workspace root with its own build script (turbo, nx, ...) builds its
+  // dependencies in order, so prefer it over building the app alone
+  const buildScript = overrides.buildScript || 'build';
+  const rootBuilds = appDir !== '.' && !overrides.projectDir && Boolean((rootPkg.scripts || {})[buildScript]);
+  const buildDir = rootBuilds ? '.' : appDir;
+  const buildPkg = rootBuilds ? rootPkg : pkg;
+  if (!(buildPkg.scripts || {})[buildScript]) {
+    throw new Error(`package.json in ${buildDir} has no "${buildScript}" script`);
+  }
+
+  return {
+    framework: framework || 'unknown',
+    config: defaults.config,
+    workspace: packages.length > 0 ? { packages } : null,
+    appDir,
+    buildDir,
+    buildScript,
+    packageManager,
+    outputDir: overrides.outputDir || defaults.outputDir,
+    basePath: normalizeBasePath(overrides.basePath || defaults.basePath),
+    overrides: Object.keys(overrides).filter(key => overrides[key] !== undefined),
+    warnings: defaults.warnings,
+  };
+}
+
+// Picks the build output: the framework's folder when known, otherwise the
+// first fallback folder whose index.html this build wrote (not a stale one
+// shipped in the upload)
+async function resolveOutputDir(appRoot, project, buildStartedAt) {
+  if (project.outputDir) {
+    const distPath = await appOutputPath(appRoot, project.outputDir);
+    if (!await fs.pathExists(distPath)) throw new Error(`Build did not produce ${project.outputDir}/`);
+    return { distPath, fresh: true };
+  }
+
+  let stale = null;
+  for (const candidate of FALLBACK_OUTPUT_DIRS) {
+    const distPath = await appOutputPath(appRoot, candidate);
+    const index = await fs.stat(path.join(distPath, 'index.html')).catch(() => null);
+    if (index && index.mtimeMs >= buildStartedAt - 1000) return { distPath, fresh: true };
+    if (!stale && await fs.pathExists(distPath)) stale = distPath;
+  }
+  if (stale) return { distPath: stale, fresh: false };
+  throw new Error(`No build output found (looked for ${FALLBACK_OUTPUT_DIRS.join(', ')})`);
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// THEME CUSTOMIZATION
+// Rebrands a template before it is built. The `theme` field carries colors,
+// fonts, site name and meta defaults; `logo` and `favicon` are file fields.
+// Colors and fonts are written wherever the template already declares them
+// (CSS custom properties in :root / @theme blocks, the Tailwind config), and
+// are also exposed as --brand-* variables from a style block in index.html.
+// ══════════════════════════════════════════════════════════════════════════════
+const BRAND_ASSET_TYPES = {
+  logo: ['svg', 'png', 'jpg', 'webp', 'gif'],
+  favicon: ['ico', 'png', 'svg'],
+};
+const MAX_BRAND_ASSET_SIZE = 2 * 1024 * 1024;
+const BRAND_ASSET_MIME_TYPES = {
+  svg: 'image/svg+xml', png: 'image/png', jpg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif', ico: 'image/x-icon',
+};
+// Where templates usually keep the files a logo or favicon upload replaces
+const BRAND_ASSET_DIRS = {
+  logo: ['public', 'public/images', 'public/img', 'src/assets', 'src/assets/images', 'src/images'],
+  favicon: ['public', 'app', 'src/app'],
+};
+const TAILWIND_CONFIG_FILES = ['tailwind.config.js', 'tailwind.config.cjs', 'tailwind.config.mjs', 'tailwind.config.ts'];
+const STYLESHEET_DIRS = ['src', 'app', 'styles'];
+const THEME_FONT_ROLES = {
+  body: { cssVariables: ['--font-sans', '--font-body'], tailwindKeys: ['sans', 'body'], generic: 'ui-sans-serif, system-ui, sans-serif' },
+  heading: { cssVariables: ['--font-heading', '--font-display'], tailwindKeys: ['heading', 'display'], generic: 'ui-serif, Georgia, serif' },
+  mono: { cssVariables: ['--font-mono'], tailwindKeys: ['mono'], generic: 'ui-monospace, monospace' },
+};
+const HSL_TRIPLET = /^\d+(\.\d+)?(deg)?\s+\d+(\.\d+)?%\s+\d+(\.\d+)?%$/;
+
+// Identifies an upload by its bytes, since names and MIME types come from the client
+function sniffImageType(buffer) {
+  const startsWith = (...bytes) => bytes.every((byte, i) => buffer[i] === byte);
+  if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'png';
+  if (startsWith(0xff, 0xd8, 0xff)) return 'jpg';
+  if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'gif';
+  if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'ico';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  const head = buffer.toString('utf-8', 0, 1024).replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'svg';
+  return null;
+}
+
+function toKebabCase(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[\s_]+/g, '-').toLowerCase();
+}
+
+function hexToHslTriplet(hex) {
+  let value = hex.slice(1);
+  if (value.length <= 4) value = value.split('').map(c => c + c).join('');
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16) / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  let h = 0;
+  let s = 0;
+  if (max !== min) {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h *= 60;
+  }
+  const round = (n) => Math.round(n * 10) / 10;
+  return `${round(h)} ${round(s * 100)}% ${round(l * 100)}%`;
+}
+
+function fontStack(family, generic) {
+  return `"${family}", ${generic}`;
+}
+
+async function listStyleSheets(appRoot) {
+  const found = [];
+  const visit = async (dir, depth) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true }).catch(() => [])) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (depth < 4 && entry.name !== 'node_modules' && !entry.name.startsWith('.')) await visit(full, depth + 1);
+      } else if (/\.(css|scss|pcss)$/.test(entry.name)) {
+        found.push(full);
+      }
+    }
+  };
+  for (const dir of STYLESHEET_DIRS) await visit(path.join(appRoot, dir), 0);
+  return found;
+}
+
+// Values a declaration should get, keyed by custom property name
+function themeCssDeclarations(theme) {
+  const declarations = new Map();
+  for (const [key, hex] of Object.entries(theme.colors || {})) {
+    const name = toKebabCase(key);
+    for (const variable of [`--${name}`, `--color-${name}`, `--brand-${name}`]) declarations.set(variable, { color: hex });
+  }
+  for (const [role, family] of Object.entries(theme.fonts || {})) {
+    for (const variable of THEME_FONT_ROLES[role].cssVariables) declarations.set(variable, { raw: fontStack(family, THEME_FONT_ROLES[role].generic) });
+  }
+  for (const [variable, value] of Object.entries(theme.cssVariables || {})) declarations.set(variable, { raw: value });
+  return declarations;
+}
+
+// Only :root and @theme blocks are touched; .dark and other scoped palettes keep their values.
+// A color keeps the notation the template uses (shadcn-style "H S% L%" triplets stay triplets).
+function rewriteCssVariables(css, declarations) {
+  const updated = new Set();
+  const result = css.replace(/(:root|@theme(?:\s+inline)?)(\s*\{)([^{}]*)\}/g, (block, selector, open, body) => {
+    const rewritten = body.replace(/(--[\w-]+)(\s*:\s*)([^;{}]+?)(\s*)(;|$)/g, (decl, name, colon, current, space, end) => {
+      const declaration = declarations.get(name);
+      if (!declaration) return decl;
+      updated.add(name);
+      const value = declaration.raw !== undefined
+        ? declaration.raw
+        : HSL_TRIPLET.test(current.trim()) ? hexToHslTriplet(declaration.color) : declaration.color;
+      return `${name}${colon}${value}${space}${end}`;
+    });
+    return `${selector}${open}${rewritten}}`;
+  });
+  return { css: result, updated: [...updated] };
+}
+
+function objectKeySource(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Edits that set `key: value` in an object literal, replacing the existing value or
+// appending a property (on its own line when the object is laid out one per line)
+function setObjectProperty(source, objectNode, key, valueSource) {
+  const existing = objectNode.properties.find(property => propertyKey(property) === key);
+  if (existing) return { start: existing.value.start, end: existing.value.end, text: valueSource };
+  const last = objectNode.properties[objectNode.properties.length - 1];
+  const text = `${objectKeySource(key)}: ${valueSource}`;
+  if (!last) return { start: objectNode.start + 1, end: objectNode.start + 1, text };
+  const indent = source.slice(source.lastIndexOf('\n', last.start) + 1, last.start);
+  const separator = /^\s+$/.test(indent) ? `,\n${indent}` : ', ';
+  return { start: last.end, end: last.end, text: `${separator}${text}` };
+}
+
+// Colors that point at CSS variables (hsl(var(--primary))) are left alone; the
+// stylesheet rewrite already covers them. Missing keys go into theme.extend.
+function rewriteTailwindConfig(source, filePath, theme) {
+  const ast = parseSource(source, filePath);
+  const objects = { colors: [], fontFamily: [] };
+  walkAst(ast.program, (node, ancestors) => {
+    if (node.type !== 'ObjectProperty' || node.value.type !== 'ObjectExpression') return;
+    const key = propertyKey(node);
+    if (!objects[key]) return;
+    const parent = ancestors[ancestors.length - 2];
+    const inExtend = parent && parent.type === 'ObjectProperty' && propertyKey(parent) === 'extend';
+    objects[key].push({ node: node.value, inExtend });
+  });
+  const preferred = (list) => (list.find(entry => entry.inExtend) || list[0] || {}).node;
+  const singleQuoted = (source.match(/'/g) || []).length > (source.match(/"/g) || []).length;
+  const literal = (value) => (singleQuoted ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : JSON.stringify(value));
+
+  const edits = [];
+  const updated = [];
+  const skipped = [];
+  const colorsNode = preferred(objects.colors);
+  for (const [key, hex] of Object.entries(theme.colors || {})) {
+    const name = toKebabCase(key);
+    const owner = objects.colors.map(entry => entry.node).find(node => node.properties.some(property => propertyKey(property) === name));
+    const property = owner && owner.properties.find(p => propertyKey(p) === name);
+    if (!property) {
+      if (colorsNode) {
+        edits.push(setObjectProperty(source, colorsNode, name, literal(hex)));
+        updated.push(`colors.${name}`);
+      }
+      continue;
+    }
+    const value = property.value;
+    if (value.type === 'StringLiteral' && !value.value.includes('var(')) {
+      edits.push({ start: value.start, end: value.end, text: literal(hex) });
+      updated.push(`colors.${name}`);
+    } else if (value.type === 'ObjectExpression') {
+      const fallback = value.properties.find(p => propertyKey(p) === 'DEFAULT');
+      if (fallback && fallback.value.type === 'StringLiteral' && fallback.value.value.includes('var(')) {
+        skipped.push(`colors.${name}`);
+      } else {
+        edits.push(setObjectProperty(source, value, 'DEFAULT', literal(hex)));
+        updated.push(`colors.${name}.DEFAULT`);
+      }
+    } else {
+      skipped.push(`colors.${name}`);
+    }
+  }
+
+  const fontsNode = preferred(objects.fontFamily);
+  for (const [role, family] of Object.entries(theme.fonts || {})) {
+    const { tailwindKeys, generic } = THEME_FONT_ROLES[role];
+    if (!fontsNode) continue;
+    const key = tailwindKeys.find(candidate => fontsNode.properties.some(p => propertyKey(p) === candidate)) || tailwindKeys[0];
+    const stack = [family, ...generic.split(', ')].map(literal).join(', ');
+    edits.push(setObjectProperty(source, fontsNode, key, `[${stack}]`));
+    updated.push(`fontFamily.${key}`);
+  }
+
+  return {
+    source: applyEdits(source, edits),
+    updated,
+    skipped,
+    missing: [!colorsNode && theme.colors && 'colors', !fontsNode && theme.fonts && 'fontFamily'].filter(Boolean),
+  };
+}
+
+function googleFontsHref(fonts) {
+  const families = [...new Set(Object.values(fonts))]
+    .map(family => `family=${encodeURIComponent(family).replace(/%20/g, '+')}:wght@400;500;600;700`);
+  return `https://fonts.googleapis.com/css2?${families.join('&')}&display=swap`;
+}
+
+function brandStyleBlock(theme) {
+  const variables = [
+    ...Object.entries(theme.colors || {}).map(([key, hex]) => `--brand-${toKebabCase(key)}: ${hex};`),
+    ...Object.entries(theme.fonts || {}).map(([role, family]) => `--brand-font-${role}: ${fontStack(family, THEME_FONT_ROLES[role].generic)};`),
+  ];
+  const rules = [`:root { ${variables.join(' ')} }`];
+  if (theme.fonts && theme.fonts.body) rules.push('body { font-family: var(--brand-font-body); }');
+  if (theme.fonts && theme.fonts.heading) rules.push('h1, h2, h3, h4, h5, h6 { font-family: var(--brand-font-heading); }');
+  return `<style id="theme-factory-brand">${rules.join(' ')}</style>`;
+}
+
+// Appends markup at the end of <head>, indented like the tags already in it
+function appendToHead(html, markup) {
+  const indent = (html.match(/<head\b[^>]*>\r?\n([ \t]*)</i) || [])[1] || '';
+  return html.replace(/([ \t]*)<\/head>/i, (closing, closingIndent) => `${indent}${markup}\n${closingIndent}</head>`);
+}
+
+// Sets <meta name|property=...> content, adding the tag when the template has none
+function setHeadMeta(html, attribute, key, content) {
+  const tag = `<meta ${attribute}="${key}" content="${escapeXml(content)}">`;
+  const pattern = new RegExp(`<meta\\b[^>]*\\b${attribute}=["']${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["'][^>]*>`, 'i');
+  return pattern.test(html) ? html.replace(pattern, tag) : appendToHead(html, tag);
+}
+
+function rewriteIndexHtml(html, theme, favicon, publicUrlPrefix) {
+  let result = html;
+  const meta = theme.meta || {};
+  if (theme.siteName || meta.title) {
+    const title = `<title>${escapeXml(meta.title || theme.siteName)}</title>`;
+    result = /<title\b[^>]*>[\s\S]*?<\/title>/i.test(result)
+      ? result.replace(/<title\b[^>]*>[\s\S]*?<\/title>/i, title)
+      : appendToHead(result, title);
+  }
+  if (meta.description) {
+    result = setHeadMeta(result, 'name', 'description', meta.description);
+    result = setHeadMeta(result, 'property', 'og:description', meta.description);
+  }
+  if (theme.siteName) result = setHeadMeta(result, 'property', 'og:site_name', theme.siteName);
+  if (meta.themeColor) result = setHeadMeta(result, 'name', 'theme-color', meta.themeColor);
+  if (meta.ogImage) result = setHeadMeta(result, 'property', 'og:image', meta.ogImage);
+  if (meta.twitterCard) result = setHeadMeta(result, 'name', 'twitter:card', meta.twitterCard);
+
+  if (favicon) {
+    const link = `<link rel="icon" type="${BRAND_ASSET_MIME_TYPES[favicon.ext]}" href="${publicUrlPrefix}/favicon.${favicon.ext}">`;
+    result = result.replace(/[ \t]*<link\b[^>]*\brel=["'](shortcut )?icon["'][^>]*>\n?/gi, '');
+    result = appendToHead(result, link);
+  }
+
+  if (theme.fonts && theme.googleFonts !== false) {
+    result = appendToHead(result, '<link rel="preconnect" href="https://fonts.googleapis.com">');
+    result = appendToHead(result, '<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>');
+    result = appendToHead(result, `<link id="theme-factory-fonts" rel="stylesheet" href="${escapeXml(googleFontsHref(theme.fonts))}">`);
+  }
+  if (theme.colors || theme.fonts) result = appendToHead(result, brandStyleBlock(theme));
+  return result;
+}
+
+// Replaces the template's own logo/favicon files. Auto-detected files are only
+// replaced when the extension matches, since source imports name the file.
+async function replaceBrandAsset(appRoot, field, asset, targets, warnings) {
+  const written = [];
+  const canonical = field === 'favicon' ? `public/favicon.${asset.ext}` : `public/brand/logo.${asset.ext}`;
+  const explicit = targets && targets.length > 0;
+  let candidates = explicit ? targets : [];
+  if (!explicit) {
+    const pattern = new RegExp(`^${field}\\.(${BRAND_ASSET_TYPES[field].join('|')}|jpeg)$`, 'i');
+    for (const dir of BRAND_ASSET_DIRS[field]) {
+      for (const name of await fs.readdir(path.join(appRoot, dir)).catch(() => [])) {
+        if (pattern.test(name)) candidates.push(path.posix.join(dir, name));
+      }
+    }
+  }
+
+  for (const target of new Set([canonical, ...candidates])) {
+    const ext = path.extname(target).slice(1).toLowerCase().replace('jpeg', 'jpg');
+    if (target !== canonical && ext !== asset.ext) {
+      if (!explicit) {
+        warnings.push(`Kept ${target}: the uploaded ${field} is .${asset.ext}`);
+        continue;
+      }
+      warnings.push(`${target} now holds .${asset.ext} data`);
+    }
+    await fs.outputFile(path.join(appRoot, target), asset.buffer);
+    written.push(target);
+  }
+  return written;
+}
+
+// Returns what was changed, so the job can report it
+async function applyThemeCustomization(appRoot, project, theme = {}, assets = {}) {
+  const report = { stylesheets: [], tailwindConfig: null, html: null, assets: {}, warnings: [] };
+  const { warnings } = report;
+
+  const declarations = themeCssDeclarations(theme);
+  if (declarations.size > 0) {
+    for (const file of await listStyleSheets(appRoot)) {
+      const css = await fs.readFile(file, 'utf-8');
+      const { css: rewritten, updated } = rewriteCssVariables(css, declarations);
+      if (updated.length === 0) continue;
+      await fs.writeFile(file, rewritten);
+      report.stylesheets.push({ file: path.relative(appRoot, file), variables: updated });
+    }
+    const declared = new Set(report.stylesheets.flatMap(sheet => sheet.variables));
+    for (const variable of Object.keys(theme.cssVariables || {})) {
+      if (!declared.has(variable)) warnings.push(`${variable} is not declared in any :root or @theme block`);
+    }
+  }
+
+  if (theme.colors || theme.fonts) {
+    const config = await readFirstFile(appRoot, TAILWIND_CONFIG_FILES);
+    if (config) {
+      try {
+        const result = rewriteTailwindConfig(config.content, config.name, theme);
+        if (result.updated.length > 0) await fs.writeFile(path.join(appRoot, config.name), result.source);
+        report.tailwindConfig = { file: config.name, updated: result.updated, skipped: result.skipped };
+        for (const key of result.missing) warnings.push(`${config.name} has no ${key} object; use the --brand-* variables instead`);
+      } catch (err) {
+        warnings.push(`Could not update ${config.name}: ${err.message}`);
+      }
+    }
+  }
+
+  for (const [field, asset] of Object.entries(assets)) {
+    report.assets[field] = await replaceBrandAsset(appRoot, field, asset, (theme.assetTargets || {})[field], warnings);
+  }
+
+  // CRA keeps index.html in public/ and resolves %PUBLIC_URL%; Vite resolves / against its base.
+  // Next and Astro render their own <head>, so only the stylesheet and asset changes apply there.
+  const htmlFile = ['index.html', 'public/index.html'].find(file => fs.existsSync(path.join(appRoot, file)));
+  if (htmlFile && !['next', 'astro'].includes(project.framework)) {
+    const html = await fs.readFile(path.join(appRoot, htmlFile), 'utf-8');
+    const publicUrlPrefix = htmlFile === 'public/index.html' ? '%PUBLIC_URL%' : '';
+    await fs.writeFile(path.join(appRoot, htmlFile), rewriteIndexHtml(html, theme, assets.favicon, publicUrlPrefix));
+    report.html = htmlFile;
+  } else if (theme.siteName || theme.meta || assets.favicon) {
+    warnings.push(`No index.html to update (${project.framework} app); set the title, meta tags and favicon link in its layout`);
+  }
+
+  return report;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ROUTE STRIPPING
+// Parses the router file and cuts unselected routes out of the original source
+// by character range, so everything that survives keeps its formatting.
+// ══════════════════════════════════════════════════════════════════════════════
+const ROUTE_SOURCE_CANDIDATES = ['src/App.tsx', 'src/App.jsx', 'src/App.js', 'src/main.tsx', 'src/main.jsx', 'src/main.js'];
+const DATA_ROUTER_FACTORIES = new Set(['createBrowserRouter', 'createHashRouter', 'createMemoryRouter', 'useRoutes']);
+
+function parseSource(content, filePath) {
+  const plugins = /\.tsx?$/.test(filePath) ? ['jsx', 'typescript'] : ['jsx'];
+  return parseModule(content, { sourceType: 'module', plugins });
+}
+
+function walkAst(node, visit, ancestors = []) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, ancestors) === false) return;
+  ancestors.push(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key.endsWith('Comments')) continue;
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) walkAst(child, visit, ancestors);
+    } else if (value && typeof value === 'object') {
+      walkAst(value, visit, ancestors);
+    }
+  }
+  ancestors.pop();
+}
+
+function normalizeRoutePath(p, keepCase = false) {
+  if (!p || p === '/') return '/';
+  const trimmed = '/' + p.replace(/^\/+|\/+$/g, '');
+  return keepCase ? trimmed : trimmed.toLowerCase();
+}
+
+function joinRoutePath(parentPath, childPath, keepCase = false) {
+  if (childPath.startsWith('/')) return normalizeRoutePath(childPath, keepCase);
+  return normalizeRoutePath(`${parentPath}/${childPath}`, keepCase);
+}
+
+// Segment-wise match where `:param` matches any one segment and `*` matches the rest
+function routePatternMatches(pattern, concrete, allowPrefix) {
+  const patternSegs = pattern.split('/').filter(Boolean);
+  const concreteSegs = concrete.split('/').filter(Boolean);
+  for (let i = 0; i < patternSegs.length; i++) {
+    if (patternSegs[i] === '*') return true;
+    if (i >= concreteSegs.length) return false;
+    if (patternSegs[i] !== concreteSegs[i] && !patternSegs[i].startsWith(':')) return false;
+  }
+  return allowPrefix || patternSegs.length === concreteSegs.length;
+}
+
+function shouldKeepRoutePath(fullPath, hasChildren, normalizedSelected) {
+  return normalizedSelected.some(selected => {
+    if (routePatternMatches(fullPath, selected, false) || selected === fullPath) return true;
+    // Ancestors of a selected route stay; the root only when it wraps nested routes
+    if (fullPath === '/') return hasChildren;
+    return routePatternMatches(fullPath, selected, true);
+  });
+}
+
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  if (node.type === 'JSXExpressionContainer') return staticString(node.expression);
+  return null;
+}
+
+function isJsxRoute(node) {
+  if (!node || node.type !== 'JSXElement') return false;
+  const name = node.openingElement.name;
+  if (name.type === 'JSXIdentifier') return name.name === 'Route';
+  return name.type === 'JSXMemberExpression' && name.property.name === 'Route';
+}
+
+function propertyKey(prop) {
+  if (prop.type !== 'ObjectProperty' || prop.computed) return null;
+  if (prop.key.type === 'Identifier') return prop.key.name;
+  if (prop.key.type === 'StringLiteral') return prop.key.value;
+  return null;
+}
+
+function unwrapExpression(node) {
+  while (node && ['TSAsExpression', 'TSSatisfiesExpression', 'TSNonNullExpression', 'ParenthesizedExpression'].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+// Ranges that remove the given elements of a comma-separated list together with their separators
+function listRemovalRanges(items, removedIndexes) {
+  const ranges = [];
+  for (const i of removedIndexes) {
+    if (i < items.length - 1) ranges.push([items[i].start, items[i + 1].start]);
+    else if (i > 0) ranges.push([items[i - 1].end, items[i].end]);
+    else ranges.push([items[i].start, items[i].end]);
+  }
+  return ranges;
+}
+
+// Widens a range to whole lines when nothing else shares them, so no blank indented lines are left
+function expandToLines(source, [start, end]) {
+  let s = start;
+  while (s > 0 && (source[s - 1] === ' ' || source[s - 1] === '\t')) s--;
+  let e = end;
+  while (e < source.length && (source[e] === ' ' || source[e] === '\t')) e++;
+  if ((s === 0 || source[s - 1] === '\n') && (e === source.length || source[e] === '\n' || source[e] === '\r')) {
+    if (source[e] === '\r') e++;
+    if (source[e] === '\n') e++;
+    return [s, e];
+  }
+  return [start, end];
+}
+
+function applyRemovals(source, ranges) {
+  const merged = [];
+  for (const range of ranges.map(r => expandToLines(source, r)).sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  let result = source;
+  for (let i = merged.length - 1; i >= 0; i--) {
+    result = result.slice(0, merged[i][0]) + result.slice(merged[i][1]);
+  }
+  return result;
+}
+
+function collectIdentifierNames(node, names) {
+  walkAst(node, (n) => {
+    if (n.type === 'Identifier' || n.type === 'JSXIdentifier') names.add(n.name);
+  });
+}
+
+function jsxElementName(node) {
+  if (!node) return null;
+  if (node.type === 'JSXElement') return jsxElementName(node.openingElement.name);
+  if (node.type === 'JSXIdentifier') return node.name;
+  if (node.type === 'JSXMemberExpression') return `${jsxElementName(node.object)}.${node.property.name}`;
+  return null;
+}
+
+// `element={<About />}` or `Component={About}`, whichever the route uses
+function routeComponentName(elementNode, componentNode) {
+  const element = unwrapExpression(elementNode && elementNode.type === 'JSXExpressionContainer' ? elementNode.expression : elementNode);
+  if (element && element.type === 'JSXElement') return jsxElementName(element);
+  const component = componentNode && componentNode.type === 'JSXExpressionContainer' ? componentNode.expression : componentNode;
+  return component && component.type === 'Identifier' ? component.name : null;
+}
+
+function jsxRouteInfo(el) {
+  const attrs = el.openingElement.attributes.filter(a => a.type === 'JSXAttribute');
+  const attr = (name) => attrs.find(a => a.name.name === name);
+  const pathAttr = attr('path');
+  return {
+    routePath: pathAttr ? staticString(pathAttr.value) : null,
+    isIndex: Boolean(attr('index')),
+    component: routeComponentName(attr('element') && attr('element').value, attr('Component') && attr('Component').value),
+    lazyModule: attr('lazy') ? dynamicImportSource(attr('lazy').value) : null,
+    children: el.children.filter(isJsxRoute),
+  };
+}
+
+function objectRouteInfo(obj) {
+  const props = new Map(obj.properties.map(p => [propertyKey(p), p]).filter(([k]) => k));
+  const value = (key) => (props.has(key) ? props.get(key).value : null);
+  const children = unwrapExpression(value('children'));
+  const childArray = children && children.type === 'ArrayExpression' ? children : null;
+  return {
+    routePath: staticString(value('path')),
+    isIndex: props.has('index'),
+    component: routeComponentName(value('element'), value('Component')),
+    lazyModule: props.has('lazy') ? dynamicImportSource(value('lazy')) : null,
+    children: childArray ? childArray.elements.filter(e => e && e.type === 'ObjectExpression') : [],
+    childArray,
+  };
+}
+
+function collectRoutePaths(node, getInfo, parentPath, out) {
+  const { routePath, children } = getInfo(node);
+  const fullPath = routePath ? joinRoutePath(parentPath, routePath) : parentPath;
+  if (routePath) out.push(fullPath);
+  children.forEach(child => collectRoutePaths(child, getInfo, fullPath, out));
+}
+
+// Top-level <Route> elements and the route arrays handed to data-router factories
+function findRouteDefinitions(ast) {
+  const topLevelArrays = new Map();
+  for (const stmt of ast.program.body) {
+    const decl = stmt.type === 'ExportNamedDeclaration' ? stmt.declaration : stmt;
+    if (!decl || decl.type !== 'VariableDeclaration') continue;
+    for (const d of decl.declarations) {
+      const init = unwrapExpression(d.init);
+      if (d.id.type === 'Identifier' && init && init.type === 'ArrayExpression') topLevelArrays.set(d.id.name, init);
+    }
+  }
+
+  const jsxRoutes = [];
+  const routeArrays = [];
+  walkAst(ast.program, (node) => {
+    if (isJsxRoute(node)) {
+      jsxRoutes.push(node);
+      return false;
+    }
+    if (node.type === 'CallExpression') {
+      const callee = node.callee.type === 'MemberExpression' ? node.callee.property : node.callee;
+      if (callee.type !== 'Identifier' || !DATA_ROUTER_FACTORIES.has(callee.name)) return;
+      let arg = unwrapExpression(node.arguments[0]);
+      if (arg && arg.type === 'Identifier') arg = topLevelArrays.get(arg.name);
+      if (arg && arg.type === 'ArrayExpression' && !routeArrays.includes(arg)) routeArrays.push(arg);
+    }
+  });
+
+  return { jsxRoutes, routeArrays };
+}
+
+function dynamicImportSource(node) {
+  let source = null;
+  walkAst(node, (n) => {
+    if (source) return false;
+    const isImport = n.type === 'ImportExpression' || (n.type === 'CallExpression' && n.callee.type === 'Import');
+    if (isImport) source = staticString(n.source || n.arguments[0]);
+  });
+  return source;
+}
+
+// Imports and lazy() declarations at module scope, keyed by local name
+function collectModuleBindings(ast) {
+  const bindings = new Map();
+  for (const stmt of ast.program.body) {
+    if (stmt.type === 'ImportDeclaration' && stmt.importKind !== 'type') {
+      for (const spec of stmt.specifiers) bindings.set(spec.local.name, { kind: 'import', stmt, spec, source: stmt.source.value });
+    } else if (stmt.type === 'VariableDeclaration' && stmt.declarations.length === 1) {
+      const d = stmt.declarations[0];
+      const init = unwrapExpression(d.init);
+      const callee = init && init.type === 'CallExpression'
+        ? (init.callee.type === 'MemberExpression' ? init.callee.property : init.callee)
+        : null;
+      if (d.id.type === 'Identifier' && callee && callee.type === 'Identifier' && /lazy/i.test(callee.name)) {
+        bindings.set(d.id.name, { kind: 'lazy', stmt, spec: d.id, source: dynamicImportSource(init) });
+      }
+    }
+  }
+  return bindings;
+}
+
+function stripRoutesFromSource(source, filePath, normalizedSelected) {
+  const ast = parseSource(source, filePath);
+  const ranges = [];
+  const kept = [];
+  const removed = [];
+  const candidates = new Set();
+
+  // Index, pathless layout and splat routes always stay; their children are judged on their own
+  const isRemovable = ({ routePath, isIndex, children }, fullPath) => Boolean(routePath)
+    && !isIndex
+    && !routePath.endsWith('*')
+    && !shouldKeepRoutePath(fullPath, children.length > 0, normalizedSelected);
+
+  function visitJsxRoute(el, parentPath) {
+    const info = jsxRouteInfo(el);
+    const fullPath = info.routePath ? joinRoutePath(parentPath, info.routePath) : parentPath;
+
+    if (isRemovable(info, fullPath)) {
+      ranges.push([el.start, el.end]);
+      collectIdentifierNames(el, candidates);
+      collectRoutePaths(el, jsxRouteInfo, parentPath, removed);
+      return;
+    }
+    if (info.routePath) kept.push(fullPath);
+    info.children.forEach(child => visitJsxRoute(child, fullPath));
+  }
+
+  function visitRouteArray(arr, parentPath) {
+    const removedIndexes = [];
+    arr.elements.forEach((element, i) => {
+      if (!element || element.type !== 'ObjectExpression') return;
+      const info = objectRouteInfo(element);
+      const fullPath = info.routePath ? joinRoutePath(parentPath, info.routePath) : parentPath;
+
+      if (isRemovable(info, fullPath)) {
+        removedIndexes.push(i);
+        collectIdentifierNames(element, candidates);
+        collectRoutePaths(element, objectRouteInfo, parentPath, removed);
+        return;
+      }
+      if (info.routePath) kept.push(fullPath);
+      if (info.childArray) visitRouteArray(info.childArray, fullPath);
+    });
+    ranges.push(...listRemovalRanges(arr.elements, removedIndexes));
+  }
+
+  const { jsxRoutes, routeArrays } = findRouteDefinitions(ast);
+  jsxRoutes.forEach(el => visitJsxRoute(el, '/'));
+  routeArrays.forEach(arr => visitRouteArray(arr, '/'));
+
+  if (ranges.length === 0) return { content: source, kept, removed, removedImports: [] };
+
+  // Drop imports and lazy() declarations that only the removed routes used
+  const bindings = collectModuleBindings(ast);
+
+  const inRemovedRange = (pos) => ranges.some(([s, e]) => pos >= s && pos < e);
+  const isReferenced = (name, binding) => {
+    let found = false;
+    walkAst(ast.program, (n, ancestors) => {
+      if (found || inRemovedRange(n.start)) return false;
+      if (n === binding.spec || n === binding.spec.local) return false;
+      if ((n.type === 'Identifier' || n.type === 'JSXIdentifier') && n.name === name) {
+        const parent = ancestors[ancestors.length - 1];
+        const isPropertyName = parent && !parent.computed
+          && ((parent.type === 'MemberExpression' && parent.property === n) || (parent.type === 'ObjectProperty' && parent.key === n && !parent.shorthand));
+        const isAttributeName = parent && parent.type === 'JSXAttribute' && parent.name === n;
+        if (!isPropertyName && !isAttributeName) found = true;
+      }
+    });
+    return found;
+  };
+
+  const removedImports = [];
+  const removedSpecs = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const name of candidates) {
+      const binding = bindings.get(name);
+      if (!binding || name === 'React' || removedImports.includes(name) || isReferenced(name, binding)) continue;
+      removedImports.push(name);
+      changed = true;
+      if (binding.kind === 'lazy') {
+        ranges.push([binding.stmt.start, binding.stmt.end]);
+        collectIdentifierNames(binding.stmt.declarations[0].init, candidates);
+      } else {
+        removedSpecs.add(binding.spec);
+      }
+    }
+  }
+
+  const importStmts = new Set([...removedSpecs].map(spec => bindings.get(spec.local.name).stmt));
+  for (const stmt of importStmts) {
+    const specs = stmt.specifiers;
+    if (specs.every(spec => removedSpecs.has(spec))) {
+      ranges.push([stmt.start, stmt.end]);
+      continue;
+    }
+    const defaultSpec = specs.find(spec => spec.type !== 'ImportSpecifier');
+    const named = specs.filter(spec => spec.type === 'ImportSpecifier');
+    if (defaultSpec && removedSpecs.has(defaultSpec)) {
+      // `A, { B }` -> `{ B }`
+      const next = specs[specs.indexOf(defaultSpec) + 1];
+      ranges.push([defaultSpec.start, source.lastIndexOf(next.type === 'ImportSpecifier' ? '{' : '*', next.start)]);
+    }
+    if (named.length > 0 && named.every(spec => removedSpecs.has(spec))) {
+      // `A, { B }` -> `A`
+      ranges.push([defaultSpec.end, source.indexOf('}', named[named.length - 1].end) + 1]);
+    } else {
+      const removedIndexes = named.map((spec, i) => (removedSpecs.has(spec) ? i : -1)).filter(i => i !== -1);
+      ranges.push(...listRemovalRanges(named, removedIndexes));
+    }
+  }
+
+  return { content: applyRemovals(source, ranges), kept, removed, removedImports };
+}
+
+function stripUnusedRoutes(projectPath, selectedRoutes) {
+  console.log('[RouteStrip] Starting for:', selectedRoutes);
+
+  const normalizedSelected = selectedRoutes.map(normalizeRoutePath);
+  const report = { files: [], kept: [], removed: [], removedImports: [], errors: [] };
+
+  for (const candidate of ROUTE_SOURCE_CANDIDATES) {
+    const filePath = path.join(projectPath, candidate);
+    if (!fs.existsSync(filePath)) continue;
+
+    const originalContent = fs.readFileSync(filePath, 'utf-8');
+    let result;
+    try {
+      result = stripRoutesFromSource(originalContent, filePath, normalizedSelected);
+    } catch (err) {
+      console.log(`[RouteStrip] Could not parse ${candidate}: ${err.message}`);
+      report.errors.push({ file: candidate, error: err.message });
+      continue;
+    }
+
+    if (result.kept.length === 0 && result.removed.length === 0) continue;
+    report.files.push(candidate);
+    report.kept.push(...result.kept);
+    report.removed.push(...result.removed);
+    report.removedImports.push(...result.removedImports);
+
+    if (result.removed.length > 0) {
+      fs.writeFileSync(filePath + '.original', originalContent, 'utf-8');
+      fs.writeFileSync(filePath, result.content, 'utf-8');
+      console.log(`[RouteStrip] ${candidate}: removed ${result.removed.length} routes, ${result.removedImports.length} imports`);
+    }
+  }
+
+  if (report.files.length === 0) console.log('[RouteStrip] No route definitions found');
+  return report;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ROUTE DISCOVERY
+// ══════════════════════════════════════════════════════════════════════════════
+function discoverRoutesInSource(source, filePath, file) {
+  const ast = parseSource(source, filePath);
+  const { jsxRoutes, routeArrays } = findRouteDefinitions(ast);
+  const bindings = collectModuleBindings(ast);
+  const routes = [];
+
+  const visit = (node, getInfo, parentPath, parent, depth) => {
+    const info = getInfo(node);
+    const fullPath = info.routePath ? joinRoutePath(parentPath, info.routePath, true) : parentPath;
+    let current = parent;
+
+    // Pathless layout routes only group their children, so they are not listed themselves
+    if (info.routePath || info.isIndex) {
+      const segments = fullPath.split('/').filter(Boolean);
+      const binding = info.component ? bindings.get(info.component.split('.')[0]) : null;
+      current = {
+        path: fullPath,
+        relativePath: info.routePath,
+        index: info.isIndex,
+        component: info.component,
+        module: binding ? binding.source : info.lazyModule,
+        parent: parent ? parent.path : null,
+        depth,
+        dynamic: segments.some(seg => seg.startsWith(':') || seg.includes('*')),
+        params: segments.filter(seg => seg.startsWith(':')).map(seg => seg.slice(1).replace(/\?$/, '')),
+        file,
+      };
+      routes.push(current);
+    }
+
+    const childDepth = current === parent ? depth : depth + 1;
+    info.children.forEach(child => visit(child, getInfo, fullPath, current, childDepth));
+  };
+
+  jsxRoutes.forEach(el => visit(el, jsxRouteInfo, '/', null, 0));
+  routeArrays.forEach(arr => arr.elements
+    .filter(e => e && e.type === 'ObjectExpression')
+    .forEach(obj => visit(obj, objectRouteInfo, '/', null, 0)));
+
+  return routes;
+}
+
+// Reads the router files straight out of the upload, unwrapping a single top-level folder like processBuild does
+async function discoverRoutesInUpload(buffer, prefix) {
+  const sources = await readZipTextFiles(buffer, ROUTE_SOURCE_CANDIDATES.map(candidate => prefix + candidate));
+
+  const result = { files: [], routes: [], errors: [] };
+  for (const candidate of ROUTE_SOURCE_CANDIDATES) {
+    const source = sources.get(prefix + candidate);
+    if (source === undefined) continue;
+    try {
+      const routes = discoverRoutesInSource(source, candidate, candidate);
+      if (routes.length === 0) continue;
+      result.files.push(candidate);
+      result.routes.push(...routes);
+    } catch (err) {
+      result.errors.push({ file: candidate, error: err.message });
+    }
+  }
+  return result;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ROUTE GUARD INJECTION
+// The guard wraps the app's default export, or, when the entry has none, the
+// element passed to createRoot().render() / hydrateRoot() / ReactDOM.render().
+// Settings: { fallback: 'not-found' | 'redirect', redirectTo, basePath,
+//             notFoundComponent: 'src/NotFound.tsx', notFoundHtml: '<h1>…</h1>' }
+// ══════════════════════════════════════════════════════════════════════════════
+const ROUTE_GUARD_FALLBACKS = ['not-found', 'redirect'];
+
+function calleeName(callee) {
+  const node = unwrapExpression(callee);
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') return node.property.name;
+  return null;
+}
+
+function findDefaultExport(ast) {
+  const node = ast.program.body.find(n => n.type === 'ExportDefaultDeclaration');
+  if (!node) return null;
+  const decl = node.declaration;
+  if (decl.type === 'Identifier') {
+    return { component: decl.name, edits: [{ start: node.start, end: node.end, text: '' }] };
+  }
+  if ((decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+    return { component: decl.id.name, edits: [{ start: node.start, end: decl.start, text: '' }] };
+  }
+  return { component: '_TF_Original', edits: [{ start: node.start, end: decl.start, text: 'const _TF_Original = ' }] };
+}
+
+function findRenderedElements(ast) {
+  const roots = new Set();
+  walkAst(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      const init = unwrapExpression(node.init);
+      if (init.type === 'CallExpression' && calleeName(init.callee) === 'createRoot') roots.add(node.id.name);
+    }
+  });
+
+  const elements = [];
+  walkAst(ast, (node) => {
+    if (node.type !== 'CallExpression') return;
+    const name = calleeName(node.callee);
+    if (name === 'hydrateRoot' && node.arguments[1]) {
+      elements.push(node.arguments[1]);
+      return;
+    }
+    if (name !== 'render' || !node.arguments[0]) return;
+
+    const callee = unwrapExpression(node.callee);
+    if (callee.type === 'Identifier') {
+      // render(<App />, container) imported from react-dom
+      if (node.arguments.length >= 2) elements.push(node.arguments[0]);
+      return;
+    }
+    const target = unwrapExpression(callee.object);
+    const isRoot = (target.type === 'CallExpression' && calleeName(target.callee) === 'createRoot')
+      || (target.type === 'Identifier' && (roots.has(target.name) || target.name === 'ReactDOM'));
+    if (isRoot) elements.push(node.arguments[0]);
+  });
+  return elements;
+}
+
+function applyEdits(source, edits) {
+  let result = source;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+function buildGuardCode(selectedRoutes, settings, notFoundComponent) {
+  const fallback = {
+    mode: settings.fallback || 'not-found',
+    redirectTo: settings.redirectTo || '/',
+    html: settings.notFoundHtml || null,
+  };
+  const notFoundBody = notFoundComponent
+    ? `return React.createElement(${notFoundComponent});`
+    : fallback.html
+      ? `return React.createElement('div', { dangerouslySetInnerHTML: { __html: TF_FALLBACK.html } });`
+      : `return React.createElement('div', {
+    style: { display:'flex', flexDirection:'column', alignItems:'center', justifyContent:'center', minHeight:'100vh', fontFamily:'system-ui', background:'#f8fafc', color:'#1e293b' }
+  }, [
+    React.createElement('h1', { key:'t', style:{ fontSize:'6rem', fontWeight:'bold', margin:'0', color:'#cbd5e1' } }, '404'),
+    React.createElement('p', { key:'d', style:{ marginTop:'0.5rem', color:'#64748b' } }, 'Page not available'),
+    React.createElement('a', { key:'l', href: TF_BASE_PATH + '/', style:{ marginTop:'2rem', padding:'0.75rem 1.5rem', background:'#3b82f6', color:'white', borderRadius:'0.5rem', textDecoration:'none' } }, 'Go Home')
+  ]);`;
+
+  return `
+// THEME FACTORY ROUTE GUARD
+const TF_ALLOWED_ROUTES = ${JSON.stringify(selectedRoutes)};
+const TF_BASE_PATH = ${JSON.stringify(!settings.basePath || settings.basePath === '/' ? '' : settings.basePath)};
+const TF_FALLBACK = ${JSON.stringify(fallback)};
+function normalizeRoute(p) {
+  if (!p) return '/';
+  return '/' + p.split('?')[0].split('#')[0].replace(/^\\/+|\\/+$/g, '').toLowerCase();
+}
+function stripBasePath(pathname) {
+  if (TF_BASE_PATH && (pathname === TF_BASE_PATH || pathname.startsWith(TF_BASE_PATH + '/'))) return pathname.slice(TF_BASE_PATH.length) || '/';
+  return pathname;
+}
+function matchesPattern(pattern, pathname) {
+  const ps = pattern.split('/').filter(Boolean);
+  const ss = pathname.split('/').filter(Boolean);
+  if (ps[ps.length - 1] === '*') return ss.length >= ps.length - 1 && ps.slice(0, -1).every((p, i) => p.startsWith(':') || p === ss[i]);
+  return ps.length === ss.length && ps.every((p, i) => p.startsWith(':') || p === ss[i]);
+}
+function isRouteAllowed(pathname) {
+  const normalized = normalizeRoute(stripBasePath(pathname));
+  return TF_ALLOWED_ROUTES.some(r => {
+    const nr = normalizeRoute(r);
+    return normalized === nr || normalized === nr + '/' || normalized + '/' === nr || matchesPattern(nr, normalized);
+  }) || TF_ALLOWED_ROUTES.some(r => normalizeRoute(r) === '/') && normalized === '/';
+}
+function ThemeFactoryNotFound() {
+  ${notFoundBody}
+}
+function ThemeFactoryRouteGuard({ children }) {
+  const [allowed, setAllowed] = React.useState(true);
+  React.useEffect(() => {
+    const check = () => setAllowed(isRouteAllowed(window.location.pathname));
+    check();
+    window.addEventListener('popstate', check);
+    const origPush = history.pushState;
+    const origReplace = history.replaceState;
+    history.pushState = function(...a) { origPush.apply(this, a); check(); };
+    history.replaceState = function(...a) { origReplace.apply(this, a); check(); };
+    return () => {
+      window.removeEventListener('popstate', check);
+      history.pushState = origPush;
+      history.replaceState = origReplace;
+    };
+  }, []);
+  React.useEffect(() => {
+    if (allowed || TF_FALLBACK.mode !== 'redirect') return;
+    history.replaceState(null, '', TF_BASE_PATH + TF_FALLBACK.redirectTo);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  }, [allowed]);
+  if (!allowed) return TF_FALLBACK.mode === 'redirect' ? null : React.createElement(ThemeFactoryNotFound);
+  return children;
+}
+`;
+}
+
+function isRouteAllowedByPatterns(selectedRoutes, route) {
+  const normalized = normalizeRoutePath(route);
+  return selectedRoutes.some(r => routePatternMatches(normalizeRoutePath(r), normalized, false));
+}
+
+// Returns what happened, so the job can report it: { injected, file, strategy, reason, ... }
+function injectRouteGuard(projectPath, selectedRoutes, settings = {}) {
+  console.log('[RouteGuard] Injecting for:', selectedRoutes);
+  const report = {
+    injected: false,
+    file: null,
+    strategy: null,
+    fallback: settings.fallback || 'not-found',
+    notFound: settings.notFoundComponent ? 'component' : settings.notFoundHtml ? 'html' : 'default',
+    basePath: settings.basePath || '/',
+    warnings: [],
+  };
+
+  if (report.fallback === 'redirect' && !isRouteAllowedByPatterns(selectedRoutes, settings.redirectTo || '/')) {
+    report.warnings.push(`redirectTo ${settings.redirectTo || '/'} is not one of the selected routes`);
+  }
+
+  for (const candidate of ROUTE_SOURCE_CANDIDATES) {
+    const entryFile = path.join(projectPath, candidate);
+    if (!fs.existsSync(entryFile)) continue;
+
+    let content = fs.readFileSync(entryFile, 'utf-8');
+    if (content.includes('ThemeFactoryRouteGuard')) {
+      console.log('[RouteGuard] Already done');
+      return { ...report, injected: true, file: candidate, strategy: 'existing' };
+    }
+
+    let ast;
+    try {
+      ast = parseSource(content, entryFile);
+    } catch (err) {
+      report.warnings.push(`${candidate}: ${err.message}`);
+      continue;
+    }
+
+    const edits = [];
+    let strategy = null;
+    const defaultExport = findDefaultExport(ast);
+    const rendered = defaultExport ? [] : findRenderedElements(ast);
+    if (defaultExport) {
+      strategy = 'default-export';
+      edits.push(...defaultExport.edits, {
+        start: content.length,
+        end: content.length,
+        text: `\nconst _TF_Wrapped = (props) => React.createElement(ThemeFactoryRouteGuard, null, React.createElement(${defaultExport.component}, props));\nexport default _TF_Wrapped;\n`,
+      });
+    } else if (rendered.length > 0) {
+      strategy = 'render-call';
+      for (const element of rendered) {
+        edits.push({
+          start: element.start,
+          end: element.end,
+          text: `React.createElement(ThemeFactoryRouteGuard, null, ${content.slice(element.start, element.end)})`,
+        });
+      }
+    } else {
+      continue;
+    }
+
+    let notFoundImport = '';
+    let notFoundName = null;
+    if (settings.notFoundComponent) {
+      const componentPath = path.join(projectPath, settings.notFoundComponent);
+      if (fs.existsSync(componentPath)) {
+        let specifier = path.relative(path.dirname(entryFile), componentPath).split(path.sep).join('/').replace(/\.[jt]sx?$/, '');
+        if (!specifier.startsWith('.')) specifier = `./${specifier}`;
+        notFoundName = 'ThemeFactoryCustomNotFound';
+        notFoundImport = `import ${notFoundName} from '${specifier}';\n`;
+      } else {
+        report.warnings.push(`notFoundComponent ${settings.notFoundComponent} not found, using the default page`);
+        report.notFound = 'default';
+      }
+    }
+
+    // Guard code goes right after the imports: a synchronous ReactDOM.render()
+    // further down must not reach it before its consts are initialized
+    const imports = ast.program.body.filter(n => n.type === 'ImportDeclaration');
+    const insertAt = imports.length > 0 ? imports[imports.length - 1].end : 0;
+    const reactImport = /import\s+(\*\s+as\s+)?React\b/.test(content) ? '' : `import * as React from 'react';\n`;
+    edits.push({
+      start: insertAt,
+      end: insertAt,
+      text: `\n${reactImport}${notFoundImport}${buildGuardCode(selectedRoutes, settings, notFoundName)}`,
+    });
+    content = applyEdits(content, edits);
+
+    fs.writeFileSync(entryFile + '.backup', fs.readFileSync(entryFile));
+    fs.writeFileSync(entryFile, content, 'utf-8');
+    console.log(`[RouteGuard] Done (${strategy} in ${candidate})`);
+    return { ...report, injected: true, file: candidate, strategy };
+  }
+
+  report.reason = 'No entry file with a default export or a render call';
+  console.log(`[RouteGuard] ${report.reason}`);
+  return report;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// DYNAMIC ROUTE EXPANSION
+// A params manifest maps a route pattern to its values, either inline or from a
+// JSON file in the project:
+//   { "/blog/:slug": ["hello", "world"],
+//     "/shop/:category/:id": [{ "category": "hats", "id": 1 }],
+//     "/products/:id": { "file": "src/data/products.json", "path": "items", "field": "sku" } }
+// ══════════════════════════════════════════════════════════════════════════════
+function isDynamicRoute(route) {
+  return route.split('/').some(seg => seg.startsWith(':') || seg.includes('*'));
+}
+
+async function loadParamValues(projectRoot, source) {
+  if (Array.isArray(source)) return source;
+  if (!source || typeof source.file !== 'string') throw new Error('expected an array or { file }');
+
+  const filePath = path.resolve(projectRoot, source.file);
+  if (!filePath.startsWith(projectRoot + path.sep)) throw new Error(`${source.file} is outside the project`);
+  if (!await fs.pathExists(filePath)) throw new Error(`${source.file} not found`);
+
+  let data = await fs.readJson(filePath);
+  for (const key of (source.path || '').split('.').filter(Boolean)) data = data == null ? data : data[key];
+  if (!Array.isArray(data)) throw new Error(`${source.file}${source.path ? ` at ${source.path}` : ''} is not an array`);
+  return data;
+}
+
+function fillRoutePattern(pattern, value, field) {
+  const segments = pattern.split('/');
+  const params = segments.filter(seg => seg.startsWith(':')).map(seg => seg.slice(1).replace(/\?$/, ''));
+
+  const filled = segments.map(seg => {
+    if (!seg.startsWith(':')) return seg;
+    const name = seg.slice(1).replace(/\?$/, '');
+    let raw;
+    if (value !== null && typeof value === 'object') raw = value[params.length === 1 && field ? field : name];
+    else if (params.length === 1) raw = value;
+    if (raw === undefined || raw === null || raw === '') {
+      if (seg.endsWith('?')) return null;
+      throw new Error(`missing value for :${name}`);
+    }
+    const text = String(raw);
+    // Values become directories under dist, so they must stay a single segment
+    if (text.includes('/') || text.includes('\\') || text === '.' || text === '..') throw new Error(`invalid value for :${name}: ${text}`);
+    return encodeURIComponent(text);
+  });
+
+  return filled.filter(seg => seg !== null).join('/') || '/';
+}
+
+// Turns selected routes into concrete URLs; dynamic routes need a manifest entry to be rendered
+async function expandRoutes(projectRoot, selectedRoutes, paramsManifest = {}) {
+  const manifest = new Map(Object.entries(paramsManifest).map(([pattern, source]) => [normalizeRoutePath(pattern), source]));
+  const urls = [];
+  const expanded = [];
+  const errors = [];
+
+  for (const route of selectedRoutes) {
+    const cleanRoute = route.startsWith('/') ? route : `/${route}`;
+    if (!isDynamicRoute(cleanRoute)) {
+      urls.push(cleanRoute);
+      continue;
+    }
+
+    const source = manifest.get(normalizeRoutePath(cleanRoute));
+    if (!source) {
+      errors.push({ pattern: cleanRoute, error: 'No params provided for dynamic route' });
+      continue;
+    }
+    if (cleanRoute.includes('*')) {
+      errors.push({ pattern: cleanRoute, error: 'Splat routes cannot be expanded' });
+      continue;
+    }
+
+    try {
+      const values = await loadParamValues(projectRoot, source);
+      for (const value of values) {
+        try {
+          const url = fillRoutePattern(cleanRoute, value, source.field);
+          if (!urls.includes(url)) urls.push(url);
+          expanded.push({ pattern: cleanRoute, url });
+        } catch (err) {
+          errors.push({ pattern: cleanRoute, value, error: err.message });
+        }
+      }
+    } catch (err) {
+      errors.push({ pattern: cleanRoute, error: err.message });
+    }
+  }
+
+  return { urls, expanded, errors };
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// PRERENDERING
+// ══════════════════════════════════════════════════════════════════════════════
+// `shellHtml` pins the SPA fallback to the original index.html, so pages rendered
+// while `/` is being overwritten still boot from the untouched shell
+function startStaticServer(dir, port, shellHtml = null, basePath = '/') {
+  const prefix = basePath === '/' ? '' : basePath;
+  return new Promise((resolve, reject) => {
+    const mimeTypes = {
+      '.html': 'text/html', '.js': 'application/javascript', '.css': 'text/css',
+      '.json': 'application/json', '.png': 'image/png', '.jpg': 'image/jpeg',
+      '.svg': 'image/svg+xml',
+    };
+    const server = http.createServer((req, res) => {
+      let urlPath = req.url;
+      if (prefix && (urlPath === prefix || urlPath.startsWith(`${prefix}/`))) urlPath = urlPath.slice(prefix.length) || '/';
+      let filePath = path.join(dir, urlPath === '/' ? 'index.html' : urlPath);
+      if (!fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        filePath = resolveRelativeAsset(dir, urlPath) || path.join(dir, 'index.html');
+      }
+      const ext = path.extname(filePath);
+      if (shellHtml !== null && filePath === path.join(dir, 'index.html')) {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        return res.end(shellHtml);
+      }
+      fs.readFile(filePath, (err, content) => {
+        if (err) { res.writeHead(404); res.end(); }
+        else { res.writeHead(200, { 'Content-Type': mimeTypes[ext] || 'application/octet-stream' }); res.end(content); }
+      });
+    });
+    server.listen(port, '127.0.0.1', () => resolve(server));
+    server.on('error', reject);
+  });
+}
+
+// Builds with a relative base (`./assets/x.js`) request assets below whatever route
+// is open, e.g. /about/assets/x.js, so drop leading segments until a file matches
+function resolveRelativeAsset(dir, urlPath) {
+  const segments = urlPath.split(/[?#]/)[0].split('/').filter(Boolean);
+  if (!path.extname(segments[segments.length - 1] || '')) return null;
+  for (let i = 1; i < segments.length; i++) {
+    const candidate = path.join(dir, ...segments.slice(i));
+    if (!candidate.startsWith(dir + path.sep)) return null;
+    if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+  }
+  return null;
+}
+
+// Readiness decides when a page is snapshotted. With no signal configured the old
+// behaviour applies (networkidle, #root, then a 1.5 s settle); once a selector,
+// flag or event is given the snapshot is taken as soon as it fires. Options:
+//   { waitForSelector, readyFlag: true | 'name', readyEvent, timeout, rootSelector,
+//     waitUntil, settleMs, routes: { '/blog/:slug': { ...overrides } } }
+const READINESS_WAIT_UNTIL = new Set(['load', 'domcontentloaded', 'networkidle', 'commit']);
+
+function resolveReadiness(options = {}, route) {
+  const { routes: perRoute = {}, ...base } = options || {};
+  const normalized = normalizeRoutePath(route);
+  const overrideKey = Object.keys(perRoute).find(key => normalizeRoutePath(key) === normalized)
+    || Object.keys(perRoute).find(key => routePatternMatches(normalizeRoutePath(key), normalized, false));
+  const merged = { ...base, ...(overrideKey ? perRoute[overrideKey] : {}) };
+
+  const readyFlag = merged.readyFlag === true ? '__PRERENDER_READY__' : (merged.readyFlag || null);
+  const hasSignal = Boolean(merged.waitForSelector || readyFlag || merged.readyEvent);
+  const waitUntil = merged.waitUntil || (hasSignal ? 'load' : 'networkidle');
+  if (!READINESS_WAIT_UNTIL.has(waitUntil)) throw new Error(`Invalid waitUntil: ${waitUntil}`);
+
+  return {
+    waitUntil,
+    rootSelector: merged.rootSelector || '#root',
+    waitForSelector: merged.waitForSelector || null,
+    readyFlag,
+    readyEvent: merged.readyEvent || null,
+    timeout: Number(merged.timeout) || 30000,
+    settleMs: merged.settleMs !== undefined ? Number(merged.settleMs) || 0 : (hasSignal ? 0 : 1500),
+    hasSignal,
+  };
+}
+
+async function waitForPageReady(page, readiness, deadline) {
+  const remaining = () => Math.max(1, deadline - Date.now());
+
+  // Without an explicit signal a root that never renders is tolerated, as before
+  try {
+    await page.waitForFunction(
+      (sel) => { const el = document.querySelector(sel); return Boolean(el && el.childElementCount > 0); },
+      readiness.rootSelector,
+      { timeout: readiness.hasSignal ? remaining() : Math.min(5000, remaining()) },
+    );
+  } catch (err) {
+    if (readiness.hasSignal) throw new Error(`${readiness.rootSelector} did not render: ${err.message}`);
+  }
+
+  if (readiness.waitForSelector) {
+    await page.waitForSelector(readiness.waitForSelector, { state: 'attached', timeout: remaining() });
+  }
+  if (readiness.readyFlag) {
+    await page.waitForFunction((name) => window[name] === true, readiness.readyFlag, { timeout: remaining() });
+  }
+  if (readiness.readyEvent) {
+    await page.waitForFunction(() => window.__TF_READY_EVENT_FIRED__ === true, null, { timeout: remaining() });
+  }
+  if (readiness.settleMs > 0) await page.waitForTimeout(Math.min(readiness.settleMs, remaining()));
+}
+
+function routeOutputDir(distDir, route) {
+  const outputDir = route === '/' ? distDir : path.join(distDir, decodeURIComponent(route.replace(/^\/+/, '')));
+  if (outputDir !== distDir && !outputDir.startsWith(distDir + path.sep)) throw new Error('Route resolves outside dist');
+  return outputDir;
+}
+
+const PRERENDER_CONCURRENCY = Number(process.env.PRERENDER_CONCURRENCY) || 3;
+const PRERENDER_RETRIES = Number(process.env.PRERENDER_RETRIES ?? 1);
+
+async function prerenderRoutes(distDir, routes, jobId, signal, options = {}) {
+  jobLog(jobId, `[Prerender] Starting for ${routes.length} routes`);
+
+  let chromium;
+  try {
+    const playwright = await import('playwright-chromium');
+    chromium = playwright.chromium;
+  } catch (e) {
+    jobLog(jobId, '[Prerender] Playwright unavailable');
+    return { skipped: true };
+  }
+
+  const prerenderPort = 3456 + Math.floor(Math.random() * 1000);
+  let server;
+  try {
+    const shellHtml = await fs.readFile(path.join(distDir, 'index.html'), 'utf-8');
+    server = await startStaticServer(distDir, prerenderPort, shellHtml, options.basePath);
+  } catch (e) {
+    jobLog(jobId, `[Prerender] Static server failed: ${e.message}`, 'error');
+    return { skipped: true };
+  }
+
+  const concurrency = Math.min(16, Math.max(1, Number(options.concurrency) || PRERENDER_CONCURRENCY));
+  const basePrefix = options.basePath && options.basePath !== '/' ? options.basePath : '';
+  const retries = Math.max(0, Number(options.retries ?? PRERENDER_RETRIES) || 0);
+
+  let browser;
+  let context;
+  // Closing the browser rejects whatever page calls are in flight, which ends the workers below
+  const onAbort = () => { if (browser) browser.close().catch(() => {}); };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  const renderOnce = async (cleanRoute) => {
+    const readiness = resolveReadiness(options.readiness, cleanRoute);
+    const deadline = Date.now() + readiness.timeout;
+    const page = await context.newPage();
+    const diagnostics = options.capture ? watchPageDiagnostics(page, prerenderPort) : null;
+    try {
+      if (readiness.readyEvent) {
+        // Listen before any app code runs so an early event isn't missed
+        await page.addInitScript((eventName) => {
+          const mark = () => { window.__TF_READY_EVENT_FIRED__ = true; };
+          window.addEventListener(eventName, mark);
+          document.addEventListener(eventName, mark);
+        }, readiness.readyEvent);
+      }
+      await page.goto(`http://localhost:${prerenderPort}${basePrefix}${cleanRoute}`, { waitUntil: readiness.waitUntil, timeout: readiness.timeout });
+      await waitForPageReady(page, readiness, deadline);
+
+      const html = await page.content();
+      const metadata = await collectPageMetadata(page);
+      const outputDir = routeOutputDir(distDir, cleanRoute);
+      await fs.ensureDir(outputDir);
+      await fs.writeFile(path.join(outputDir, 'index.html'), html, 'utf-8');
+      // Resizing re-lays out the page, so screenshots come after the HTML snapshot
+      const screenshots = options.capture ? await captureScreenshots(page, cleanRoute, options.capture, deadline) : null;
+      return { metadata, ...(options.capture && { capture: { screenshots, ...diagnostics } }) };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  };
+
+  const renderWithRetries = async (cleanRoute) => {
+    const started = Date.now();
+    let lastError;
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      if (signal && signal.aborted) break;
+      try {
+        jobLog(jobId, `[Prerender] ${cleanRoute}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+        const rendered = await renderOnce(cleanRoute);
+        return { route: cleanRoute, ok: true, attempts: attempt, durationMs: Date.now() - started, ...rendered };
+      } catch (err) {
+        lastError = err;
+        jobLog(jobId, `[Prerender] ${cleanRoute} attempt ${attempt} failed: ${err.message}`, 'error');
+        if (attempt <= retries) await new Promise(r => setTimeout(r, 500 * attempt));
+      }
+    }
+    const error = lastError ? lastError.message : 'Cancelled';
+    return { route: cleanRoute, ok: false, attempts: retries + 1, durationMs: Date.now() - started, error };
+  };
+
+  const cleanRoutes = routes.map(route => (route.startsWith('/') ? route : `/${route}`));
+  const outcomes = new Array(cleanRoutes.length);
+
+  try {
+    browser = await chromium.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu'],
+    });
+    context = await browser.newContext();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < cleanRoutes.length && !(signal && signal.aborted)) {
+        const i = next++;
+        outcomes[i] = await renderWithRetries(cleanRoutes[i]);
+      }
+    };
+    jobLog(jobId, `[Prerender] ${concurrency} pages in parallel, ${retries} retries`);
+    await Promise.all(Array.from({ length: Math.min(concurrency, cleanRoutes.length) }, worker));
+  } catch (err) {
+    jobLog(jobId, `[Prerender] Fatal: ${err.message}`, 'error');
+  } finally {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (browser) await browser.close().catch(() => {});
+    if (server) server.close();
+  }
+
+  // Collected in input order so the result doesn't depend on which page finished first
+  const results = { success: [], failed: [], metadata: [], timings: [], ...(options.capture && { captures: [] }) };
+  cleanRoutes.forEach((route, i) => {
+    const outcome = outcomes[i] || { route, ok: false, attempts: 0, durationMs: 0, error: 'Not rendered' };
+    results.timings.push({ route, ok: outcome.ok, attempts: outcome.attempts, durationMs: outcome.durationMs });
+    if (outcome.ok) {
+      results.success.push(route);
+      results.metadata.push({ route, ...outcome.metadata });
+      if (outcome.capture) results.captures.push({ route, ...outcome.capture });
+    } else {
+      results.failed.push({ route, error: outcome.error });
+    }
+  });
+
+  jobLog(jobId, `[Prerender] Done: ${results.success.length}/${routes.length}`);
+  return results;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// VISUAL REPORT
+// With `screenshots` enabled, prerendering also captures each route at a set of
+// viewports and records console errors and failed requests. Everything lands in
+// reports/<jobId>/ (screenshots/, diffs/, report.json, index.html), is bundled
+// into static artifacts as report/ and served by GET /jobs/:jobId/screenshots.
+// Given compareTo, routes whose screenshots differ from that job's are flagged.
+// ══════════════════════════════════════════════════════════════════════════════
+const REPORTS_DIR = path.join(BASE_WORK_DIR, 'reports');
+const SCREENSHOT_VIEWPORTS = {
+  mobile: { width: 390, height: 844 },
+  tablet: { width: 768, height: 1024 },
+  desktop: { width: 1440, height: 900 },
+};
+const MAX_PAGE_DIAGNOSTICS = 50;
+// Decoding a full-page PNG costs width * height * 4 bytes, three times over when diffing
+const MAX_DIFF_PIXELS = 25 * 1000 * 1000;
+
+function reportDirFor(jobId) {
+  return path.join(REPORTS_DIR, jobId);
+}
+
+function screenshotPath(route, viewport) {
+  const segments = route.split('/').filter(Boolean)
+    .map(segment => decodeURIComponent(segment).replace(/[^\w.-]+/g, '_').replace(/^\.+$/, '_'));
+  return path.posix.join('screenshots', ...segments, `${viewport}.png`);
+}
+
+// Listeners go on before navigation so errors during boot are caught too
+function watchPageDiagnostics(page, port) {
+  const diagnostics = { consoleErrors: [], failedRequests: [] };
+  const push = (list, entry) => { if (list.length < MAX_PAGE_DIAGNOSTICS) list.push(entry); };
+  // Strip the throwaway prerender origin so reports compare across jobs
+  const localUrl = (url) => url.replace(`http://localhost:${port}`, '');
+
+  page.on('console', (message) => {
+    if (message.type() !== 'error') return;
+    const location = message.location();
+    push(diagnostics.consoleErrors, { text: message.text(), source: location && location.url ? localUrl(location.url) : undefined });
+  });
+  page.on('pageerror', (err) => push(diagnostics.consoleErrors, { text: err.message, uncaught: true }));
+  page.on('requestfailed', (request) => {
+    const failure = request.failure();
+    push(diagnostics.failedRequests, { url: localUrl(request.url()), method: request.method(), error: failure ? failure.errorText : 'failed' });
+  });
+  page.on('response', (response) => {
+    if (response.status() < 400) return;
+    push(diagnostics.failedRequests, { url: localUrl(response.url()), method: response.request().method(), status: response.status() });
+  });
+  return diagnostics;
+}
+
+async function captureScreenshots(page, route, capture, deadline) {
+  const screenshots = {};
+  for (const viewport of capture.viewports) {
+    await page.setViewportSize({ width: viewport.width, height: viewport.height });
+    // Give responsive images and layout a moment to settle at the new size
+    await page.waitForLoadState('networkidle', { timeout: Math.min(5000, Math.max(1, deadline - Date.now())) }).catch(() => {});
+    const file = screenshotPath(route, viewport.name);
+    await fs.ensureDir(path.dirname(path.join(capture.dir, file)));
+    await page.screenshot({
+      path: path.join(capture.dir, file),
+      fullPage: capture.fullPage,
+      animations: 'disabled',
+      timeout: Math.max(5000, deadline - Date.now()),
+    });
+    screenshots[viewport.name] = file;
+  }
+  return screenshots;
+}
+
+// Width and height from the IHDR chunk, which always directly follows the
+// 8-byte PNG signature, so oversized screenshots are skipped before decoding
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') throw new Error('Not a PNG file');
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+async function diffScreenshot(currentFile, baselineFile, diffFile, threshold) {
+  const [current, baseline] = await Promise.all([fs.readFile(currentFile), fs.readFile(baselineFile)]);
+  if (current.equals(baseline)) return { status: 'unchanged', diffRatio: 0 };
+
+  const currentSize = pngSize(current);
+  const baselineSize = pngSize(baseline);
+  if (currentSize.width !== baselineSize.width || currentSize.height !== baselineSize.height) {
+    return { status: 'changed', reason: `size ${baselineSize.width}x${baselineSize.height} -> ${currentSize.width}x${currentSize.height}` };
+  }
+  if (currentSize.width * currentSize.height > MAX_DIFF_PIXELS) return { status: 'changed', reason: 'too large to diff pixel by pixel' };
+
+  const a = PNG.sync.read(current);
+  const b = PNG.sync.read(baseline);
+
+  const diff = new PNG({ width: a.width, height: a.height });
+  const diffPixels = pixelmatch(a.data, b.data, diff.data, a.width, a.height, { threshold: 0.1 });
+  const diffRatio = diffPixels / (a.width * a.height);
+  if (diffRatio <= threshold) return { status: 'unchanged', diffPixels, diffRatio };
+
+  await fs.outputFile(diffFile, PNG.sync.write(diff));
+  return { status: 'changed', diffPixels, diffRatio };
+}
+
+// Matches pages by route and viewport against the baseline job's report.json
+async function compareWithBaseline(reportDir, pages, baselineJobId, threshold) {
+  const baselineDir = reportDirFor(baselineJobId);
+  const baseline = await fs.readJson(path.join(baselineDir, 'report.json')).catch(() => null);
+  if (!baseline) return { baselineJobId, error: 'Baseline screenshots are no longer available' };
+
+  const baselinePages = new Map(baseline.pages.map(page => [page.route, page]));
+  const changed = [];
+  for (const page of pages) {
+    const previous = baselinePages.get(page.route);
+    page.diff = {};
+    for (const [viewport, file] of Object.entries(page.screenshots)) {
+      const previousFile = previous && previous.screenshots[viewport];
+      if (!previousFile) {
+        page.diff[viewport] = { status: 'added' };
+        continue;
+      }
+      const diffFile = path.posix.join('diffs', file.replace(/^screenshots\//, ''));
+      try {
+        const result = await diffScreenshot(path.join(reportDir, file), path.join(baselineDir, previousFile), path.join(reportDir, diffFile), threshold);
+        page.diff[viewport] = result.status === 'changed' && result.diffPixels !== undefined ? { ...result, file: diffFile } : result;
+      } catch (err) {
+        page.diff[viewport] = { status: 'error', error: err.message };
+      }
+    }
+    if (Object.values(page.diff).some(result => result.status !== 'unchanged')) changed.push(page.route);
+  }
+
+  const current = new Set(pages.map(page => page.route));
+  const missing = baseline.pages.map(page => page.route).filter(route => !current.has(route));
+  return { baselineJobId, threshold, changed, missing };
+}
+
+function renderReportHtml(report) {
+  const rows = report.pages.map((page) => {
+    const cells = Object.entries(page.screenshots).map(([viewport, file]) => {
+      const diff = page.diff && page.diff[viewport];
+      const badge = diff ? ` <span class="${diff.status}">${diff.status}${diff.diffRatio ? ` ${(diff.diffRatio * 100).toFixed(2)}%` : ''}</span>` : '';
+      const diffLink = diff && diff.file ? ` <a href="${escapeXml(diff.file)}">diff</a>` : '';
+      return `<figure><a href="${escapeXml(file)}"><img src="${escapeXml(file)}" loading="lazy" alt="${escapeXml(`${page.route} ${viewport}`)}"></a><figcaption>${viewport}${badge}${diffLink}</figcaption></figure>`;
+    }).join('');
+    const problems = [
+      ...page.consoleErrors.map(entry => `console: ${entry.text}`),
+      ...page.failedRequests.map(entry => `${entry.method} ${entry.url} ${entry.status || entry.error}`),
+    ].map(line => `<li>${escapeXml(line)}</li>`).join('');
+    return `<section><h2>${escapeXml(page.route)}</h2><div class="shots">${cells}</div>${problems ? `<ul>${problems}</ul>` : ''}</section>`;
+  }).join('\n');
+
+  const comparison = report.comparison
+    ? `<p>Compared with job ${escapeXml(report.comparison.baselineJobId)}: ${report.comparison.error ? escapeXml(report.comparison.error) : `${report.comparison.changed.length} changed, ${report.comparison.missing.length} missing`}</p>`
+    : '';
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Visual report ${escapeXml(report.jobId)}</title>
+<style>body{font-family:system-ui,sans-serif;margin:2rem}.shots{display:flex;gap:1rem;align-items:flex-start}figure{margin:0}img{width:240px;border:1px solid #ddd}.changed,.error{color:#b91c1c}.added{color:#92400e}.unchanged{color:#15803d}li{font-family:monospace;font-size:.85rem}</style>
+</head>
+<body>
+<h1>Visual report</h1>
+<p>${report.pages.length} pages, ${report.viewports.map(viewport => `${viewport.name} ${viewport.width}px`).join(', ')}</p>
+${comparison}
+${rows}
+</body>
+</html>
+`;
+}
+
+// Writes report.json and index.html next to the screenshots and returns the summary kept on the job
+async function writeVisualReport(jobId, captures, settings) {
+  const reportDir = reportDirFor(jobId);
+  const pages = captures.map(({ route, screenshots, consoleErrors, failedRequests }) => ({ route, screenshots, consoleErrors, failedRequests }));
+  const comparison = settings.compareTo ? await compareWithBaseline(reportDir, pages, settings.compareTo, settings.diffThreshold) : null;
+  const report = { jobId, createdAt: new Date().toISOString(), viewports: settings.viewports, fullPage: settings.fullPage, comparison, pages };
+
+  await fs.writeJson(path.join(reportDir, 'report.json'), report, { spaces: 2 });
+  await fs.writeFile(path.join(reportDir, 'index.html'), renderReportHtml(report));
+
+  return {
+    viewports: settings.viewports.map(viewport => viewport.name),
+    pages: pages.length,
+    consoleErrors: pages.reduce((n, page) => n + page.consoleErrors.length, 0),
+    failedRequests: pages.reduce((n, page) => n + page.failedRequests.length, 0),
+    comparison: comparison && { baselineJobId: comparison.baselineJobId, changed: comparison.changed, missing: comparison.missing, error: comparison.error },
+  };
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// HTML OPTIMIZATION
+// ══════════════════════════════════════════════════════════════════════════════
+// assetBase is the prefix the build put in front of its asset URLs: the app's
+// base path ("/", "/blog/") or "./" for relative builds
+function addModulePreloadHints(html, files, assetBase = '/') {
+  const existing = new Set([...html.matchAll(/<link\b[^>]*rel=["']modulepreload["'][^>]*href=["']([^"']+)["']/gi)].map(m => m[1]));
+  const hints = files
+    .map(file => `${assetBase}${file}`)
+    .filter(href => !existing.has(href))
+    .map(href => `<link rel="modulepreload" crossorigin href="${href}">`);
+  if (hints.length === 0) return html;
+  return html.replace(/<\/head>/i, `${hints.join('')}</head>`);
+}
+
+// Critical CSS is inlined per page, but the shared stylesheet is never pruned since every route still loads it
+async function optimizePrerenderedHtml(distDir, routes, jobId, assetBase = '/') {
+  const assets = await resolveEntryAssets(distDir, assetBase);
+  const beasties = new Beasties({
+    path: distDir,
+    publicPath: assetBase,
+    preload: 'media',
+    noscriptFallback: true,
+    pruneSource: false,
+    compress: true,
+    logLevel: 'warn',
+    logger: { warn: (msg) => jobLog(jobId, `[Optimize] ${msg}`), error: (msg) => jobLog(jobId, `[Optimize] ${msg}`, 'error') },
+  });
+
+  const report = { routes: [], errors: [], totalBefore: 0, totalAfter: 0 };
+  for (const route of routes) {
+    const file = path.join(routeOutputDir(distDir, route), 'index.html');
+    try {
+      const original = await fs.readFile(file, 'utf-8');
+      let html = await beasties.process(original);
+      html = addModulePreloadHints(html, [...assets.js, ...(assets.imports || [])], assetBase);
+      html = await minifyHtml(html, {
+        collapseWhitespace: true,
+        conservativeCollapse: true,
+        removeComments: true,
+        minifyCSS: true,
+        keepClosingSlash: true,
+      });
+      await fs.writeFile(file, html, 'utf-8');
+
+      const before = Buffer.byteLength(original);
+      const after = Buffer.byteLength(html);
+      report.routes.push({ route, before, after });
+      report.totalBefore += before;
+      report.totalAfter += after;
+    } catch (err) {
+      jobLog(jobId, `[Optimize] ${route} failed: ${err.message}`, 'error');
+      report.errors.push({ route, error: err.message });
+    }
+  }
+
+  jobLog(jobId, `[Optimize] ${report.routes.length} pages, ${report.totalBefore} → ${report.totalAfter} bytes`);
+  return report;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// SEO ARTIFACTS
+// ══════════════════════════════════════════════════════════════════════════════
+function parseSiteUrl(value) {
+  const raw = (value || '').toString().trim();
+  if (!raw) return null;
+  const url = new URL(raw);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`siteUrl must be http(s): ${raw}`);
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+function collectPageMetadata(page) {
+  return page.evaluate(() => {
+    const meta = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? el.getAttribute('content') : null;
+    };
+    const canonical = document.querySelector('link[rel="canonical"]');
+    const og = {};
+    document.querySelectorAll('meta[property^="og:"]').forEach(el => {
+      og[el.getAttribute('property')] = el.getAttribute('content');
+    });
+    return {
+      title: document.title || null,
+      description: meta('meta[name="description"]'),
+      canonical: canonical ? canonical.getAttribute('href') : null,
+      robots: meta('meta[name="robots"]'),
+      og,
+      h1Count: document.querySelectorAll('h1').length,
+    };
+  });
+}
+
+function buildSeoReport(metadata) {
+  const duplicates = {};
+  for (const field of ['title', 'description', 'canonical']) {
+    const byValue = new Map();
+    for (const page of metadata) {
+      if (!page[field]) continue;
+      byValue.set(page[field], [...(byValue.get(page[field]) || []), page.route]);
+    }
+    duplicates[field] = [...byValue].filter(([, routes]) => routes.length > 1).map(([value, routes]) => ({ value, routes }));
+  }
+
+  const pages = metadata.map(page => {
+    const issues = [];
+    if (!page.title) issues.push('missing title');
+    if (!page.description) issues.push('missing meta description');
+    if (!page.canonical) issues.push('missing canonical');
+    for (const tag of ['og:title', 'og:description', 'og:image']) {
+      if (!page.og[tag]) issues.push(`missing ${tag}`);
+    }
+    if (page.h1Count === 0) issues.push('no h1');
+    if (page.h1Count > 1) issues.push(`${page.h1Count} h1 elements`);
+    for (const field of ['title', 'description', 'canonical']) {
+      if (duplicates[field].some(d => d.routes.includes(page.route))) issues.push(`duplicate ${field}`);
+    }
+    return { ...page, issues };
+  });
+
+  return { pages, duplicates, issueCount: pages.reduce((n, page) => n + page.issues.length, 0) };
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// Pages that opt out with a noindex robots meta are left out of the sitemap
+async function writeSeoFiles(distDir, metadata, siteUrl) {
+  const lastmod = new Date().toISOString().slice(0, 10);
+  const indexable = metadata.filter(page => !/noindex/i.test(page.robots || ''));
+  const urls = indexable.map(page => `${siteUrl}${page.route === '/' ? '/' : page.route}`);
+
+  const sitemap = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeXml(url)}</loc><lastmod>${lastmod}</lastmod></url>`),
+    '</urlset>',
+    '',
+  ].join('\n');
+  await fs.writeFile(path.join(distDir, 'sitemap.xml'), sitemap, 'utf-8');
+
+  // A robots.txt shipped with the project wins; it only gets the Sitemap line added
+  const robotsPath = path.join(distDir, 'robots.txt');
+  const sitemapLine = `Sitemap: ${siteUrl}/sitemap.xml`;
+  let robots = 'generated';
+  if (await fs.pathExists(robotsPath)) {
+    const existing = await fs.readFile(robotsPath, 'utf-8');
+    robots = 'existing';
+    if (!/^sitemap:/im.test(existing)) {
+      await fs.writeFile(robotsPath, `${existing.replace(/\s*$/, '')}\n\n${sitemapLine}\n`, 'utf-8');
+      robots = 'existing+sitemap';
+    }
+  } else {
+    await fs.writeFile(robotsPath, `User-agent: *\nAllow: /\n\n${sitemapLine}\n`, 'utf-8');
+  }
+
+  return { sitemap: 'sitemap.xml', sitemapUrls: urls.length, robots };
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// WORDPRESS PACKAGING
+// ══════════════════════════════════════════════════════════════════════════════
+const WP_FUNCTIONS_PHP = `<?php
+/**
+ * Theme Factory runtime: serves the prerendered routes and enqueues the build assets.
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+function tf_manifest() {
+	static $manifest = null;
+	if ( null === $manifest ) {
+		$raw      = file_get_contents( get_theme_file_path( 'theme-factory.json' ) );
+		$manifest = $raw ? json_decode( $raw, true ) : array();
+	}
+	return $manifest;
+}
+
+function tf_normalize_route( $path ) {
+	$path = strtolower( trim( (string) wp_parse_url( $path, PHP_URL_PATH ), '/' ) );
+	return '' === $path ? '/' : '/' . $path;
+}
+
+function tf_current_route() {
+	$home = tf_normalize_route( home_url( '/' ) );
+	$path = tf_normalize_route( isset( $_SERVER['REQUEST_URI'] ) ? wp_unslash( $_SERVER['REQUEST_URI'] ) : '/' );
+	if ( '/' !== $home && 0 === strpos( $path . '/', $home . '/' ) ) {
+		$path = tf_normalize_route( substr( $path, strlen( $home ) ) );
+	}
+	return $path;
+}
+
+function tf_route( $route ) {
+	$manifest = tf_manifest();
+	return isset( $manifest['routes'][ $route ] ) ? $manifest['routes'][ $route ] : null;
+}
+
+add_action( 'after_setup_theme', function () {
+	add_theme_support( 'title-tag' );
+} );
+
+add_action( 'wp_enqueue_scripts', function () {
+	$manifest = tf_manifest();
+	foreach ( $manifest['assets']['css'] as $i => $file ) {
+		wp_enqueue_style( 'theme-factory-' . $i, get_theme_file_uri( 'dist/' . $file ), array(), null );
+	}
+	foreach ( $manifest['assets']['js'] as $i => $file ) {
+		wp_enqueue_script( 'theme-factory-' . $i, get_theme_file_uri( 'dist/' . $file ), array(), null, true );
+	}
+} );
+
+add_filter( 'script_loader_tag', function ( $tag, $handle ) {
+	if ( 0 === strpos( $handle, 'theme-factory-' ) ) {
+		$tag = str_replace( '<script ', '<script type="module" ', $tag );
+	}
+	return $tag;
+}, 10, 2 );
+
+// Prerendered routes are not WordPress content, so claim them before the 404 template does.
+add_filter( 'template_include', function ( $template ) {
+	if ( tf_route( tf_current_route() ) ) {
+		global $wp_query;
+		$wp_query->is_404 = false;
+		status_header( 200 );
+		return get_theme_file_path( 'index.php' );
+	}
+	return $template;
+} );
+
+add_filter( 'pre_get_document_title', function ( $title ) {
+	$route = tf_route( tf_current_route() );
+	return $route && '' !== $route['title'] ? $route['title'] : $title;
+} );
+
+function tf_render_route( $route ) {
+	$entry = tf_route( $route );
+	if ( ! $entry ) {
+		$entry = tf_route( '/' );
+	}
+	$markup = $entry ? file_get_contents( get_theme_file_path( $entry['file'] ) ) : '<div id="root"></div>';
+	$markup = str_replace( '{{TF_ASSET_BASE}}', get_theme_file_uri( 'dist' ), $markup );
+	?><!DOCTYPE html>
+<html <?php language_attributes(); ?>>
+<head>
+<meta charset="<?php bloginfo( 'charset' ); ?>">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<?php wp_head(); ?>
+</head>
+<body <?php body_class(); ?>>
+<?php wp_body_open(); ?>
+<?php echo $markup; // phpcs:ignore WordPress.Security.EscapeOutput -- prerendered at build time ?>
+<?php wp_footer(); ?>
+</body>
+</html>
+<?php
+}
+`;
+
+function toThemeSlug(name) {
+  return String(name || '').toLowerCase().replace(/^@[^/]+\//, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'theme-factory';
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Resolves the entry JS/CSS from the Vite manifest, falling back to the tags in index.html
+async function resolveEntryAssets(distPath, assetBase = '/') {
+  for (const candidate of ['.vite/manifest.json', 'manifest.json']) {
+    const manifestPath = path.join(distPath, candidate);
+    if (!await fs.pathExists(manifestPath)) continue;
+
+    const manifest = await fs.readJson(manifestPath);
+    const js = [];
+    const css = new Set();
+    const imports = new Set();
+    const visited = new Set();
+    const collectDeps = (key) => {
+      if (visited.has(key) || !manifest[key]) return;
+      visited.add(key);
+      (manifest[key].css || []).forEach(f => css.add(f));
+      (manifest[key].imports || []).forEach(dep => {
+        if (manifest[dep] && !manifest[dep].isEntry) imports.add(manifest[dep].file);
+        collectDeps(dep);
+      });
+    };
+    for (const [key, chunk] of Object.entries(manifest)) {
+      if (!chunk.isEntry) continue;
+      if (chunk.file.endsWith('.css')) css.add(chunk.file);
+      else js.push(chunk.file);
+      collectDeps(key);
+    }
+    if (js.length > 0 || css.size > 0) return { source: candidate, js, css: [...css], imports: [...imports] };
+  }
+
+  const html = await fs.readFile(path.join(distPath, 'index.html'), 'utf-8');
+  const js = [...html.matchAll(/<script\b[^>]*type=["']module["'][^>]*src=["']([^"']+)["']/gi)].map(m => m[1]);
+  const css = [...html.matchAll(/<link\b[^>]*rel=["']stylesheet["'][^>]*href=["']([^"']+)["']/gi)].map(m => m[1]);
+  const imports = [...html.matchAll(/<link\b[^>]*rel=["']modulepreload["'][^>]*href=["']([^"']+)["']/gi)].map(m => m[1]);
+  const strip = f => (f.startsWith(assetBase) ? f.slice(assetBase.length) : f).replace(/^\.?\/+/, '');
+  return { source: 'index.html', js: js.map(strip), css: css.map(strip), imports: imports.map(strip) };
+}
+
+// Pulls the <body> markup out of a prerendered page so WordPress can wrap it in its own head/footer.
+// Asset references are root-relative or, with the relative base WordPress builds use, relative to the page.
+async function extractRouteMarkup(htmlPath, distPath) {
+  const html = await fs.readFile(htmlPath, 'utf-8');
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  let markup = bodyMatch ? bodyMatch[1] : '<div id="root"></div>';
+
+  markup = markup.replace(/<script\b[^>]*type=["']module["'][^>]*>[\s\S]*?<\/script>/gi, '');
+  const pageDir = path.dirname(htmlPath);
+  markup = markup.replace(/\b(src|href)=(["'])(\/|(?:\.\.?\/)+)([^"'?#:]+)/g, (match, attr, quote, prefix, assetPath) => {
+    let assetFile = prefix === '/' ? path.join(distPath, assetPath) : path.resolve(pageDir, prefix + assetPath);
+    if (!assetFile.startsWith(distPath + path.sep)) return match;
+    // A nested page keeps the shell's `./assets/...`, which the browser resolved below the route
+    if (!(fs.existsSync(assetFile) && fs.statSync(assetFile).isFile())) {
+      assetFile = prefix === '/' ? null : resolveRelativeAsset(distPath, `/${path.relative(distPath, assetFile).split(path.sep).join('/')}`);
+    }
+    return assetFile ? `${attr}=${quote}{{TF_ASSET_BASE}}/${path.relative(distPath, assetFile).split(path.sep).join('/')}` : match;
+  });
+
+  return { title: titleMatch ? decodeHtmlEntities(titleMatch[1].trim()) : '', markup: markup.trim() };
+}
+
+// WordPress serves the build from the theme's dist/ folder, so every URL Vite
+// emits (CSS url(), imported assets, preload deps) has to be relative to it.
+// The build script can run anything, so rather than passing --base on its
+// command line, the config file Vite will load is replaced by a wrapper that
+// imports the original and overrides `base`.
+const VITE_CONFIG_LOAD_ORDER = ['vite.config.js', 'vite.config.mjs', 'vite.config.ts', 'vite.config.cjs', 'vite.config.mts', 'vite.config.cts'];
+
+async function forceViteRelativeBase(appRoot) {
+  let name = null;
+  for (const candidate of VITE_CONFIG_LOAD_ORDER) {
+    if (await fs.pathExists(path.join(appRoot, candidate))) {
+      name = candidate;
+      break;
+    }
+  }
+  if (!name) {
+    await fs.writeFile(path.join(appRoot, 'vite.config.mjs'), "export default { base: './' };\n");
+    return 'vite.config.mjs';
+  }
+
+  const original = name.replace(/^vite\.config\./, 'vite.config.tf-original.');
+  await fs.move(path.join(appRoot, name), path.join(appRoot, original), { overwrite: true });
+  await fs.writeFile(path.join(appRoot, name), [
+    `import config from './${original}';`,
+    '',
+    'export default async (env) => {',
+    "  const resolved = await (typeof config === 'function' ? config(env) : config);",
+    "  return { ...resolved, base: './' };",
+    '};',
+    '',
+  ].join('\n'));
+  return name;
+}
+
+async function packageWordPressTheme(projectRoot, distPath, outputPath, prerenderResult, themeName) {
+  const pkg = await fs.readJson(path.join(projectRoot, 'package.json')).catch(() => ({}));
+  const name = themeName || (pkg.name || '').replace(/^@[^/]+\//, '') || 'Theme Factory Theme';
+  const slug = toThemeSlug(name);
+  const version = pkg.version || '1.0.0';
+
+  const assets = await resolveEntryAssets(distPath);
+
+  const renderedRoutes = prerenderResult && prerenderResult.success && prerenderResult.success.length > 0
+    ? prerenderResult.success
+    : ['/'];
+
+  const zip = new AdmZip();
+  const routes = {};
+  for (const route of renderedRoutes) {
+    const normalized = route === '/' ? '/' : '/' + route.replace(/^\/+|\/+$/g, '').toLowerCase();
+    const routeSlug = normalized === '/' ? 'home' : toThemeSlug(normalized);
+    const htmlPath = normalized === '/'
+      ? path.join(distPath, 'index.html')
+      : path.join(distPath, decodeURIComponent(route.replace(/^\/+|\/+$/g, '')), 'index.html');
+    if (!await fs.pathExists(htmlPath)) continue;
+
+    const { title, markup } = await extractRouteMarkup(htmlPath, distPath);
+    const file = `prerendered/${routeSlug}.html`;
+    routes[normalized] = { file, title };
+    zip.addFile(`${slug}/${file}`, Buffer.from(markup, 'utf-8'));
+
+    const template = normalized === '/' ? 'front-page.php' : `page-${routeSlug}.php`;
+    const routeLiteral = normalized.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+    zip.addFile(`${slug}/${template}`, Buffer.from(`<?php\n/**\n * Prerendered route: ${normalized.replace(/\*\//g, '*\\/')}\n */\n\ntf_render_route( '${routeLiteral}' );\n`, 'utf-8'));
+  }
+
+  const header = [
+    '/*',
+    `Theme Name: ${name.replace(/[\r\n*]/g, ' ')}`,
+    `Text Domain: ${slug}`,
+    `Version: ${version}`,
+    pkg.description ? `Description: ${String(pkg.description).replace(/[\r\n*]/g, ' ')}` : 'Description: Generated by Theme Factory',
+    'Requires PHP: 7.4',
+    '*/',
+    '',
+  ].join('\n');
+
+  zip.addFile(`${slug}/style.css`, Buffer.from(header, 'utf-8'));
+  zip.addFile(`${slug}/functions.php`, Buffer.from(WP_FUNCTIONS_PHP, 'utf-8'));
+  zip.addFile(`${slug}/index.php`, Buffer.from('<?php\n/**\n * Serves the prerendered markup for the current route.\n */\n\ntf_render_route( tf_current_route() );\n', 'utf-8'));
+  zip.addFile(`${slug}/theme-factory.json`, Buffer.from(JSON.stringify({ assets: { js: assets.js, css: assets.css }, routes }, null, 2), 'utf-8'));
+  zip.addLocalFolder(distPath, `${slug}/dist`, p => path.basename(p) !== 'index.html');
+
+  zip.writeZip(outputPath);
+  console.log(`[WordPress] Packaged ${slug} with ${Object.keys(routes).length} routes (assets from ${assets.source})`);
+
+  return { name, slug, version, routes: Object.keys(routes), assetSource: assets.source };
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// DEPLOY TARGETS
+// After packaging, the build output is pushed to each target in the request's
+// `deploy` list, one after another. A target type parses its request config
+// into a public destination plus secrets, and opens a session that can mkdir
+// and upload single files; deployToTarget drives every type the same way.
+// Secrets only live in the closure handed to the build queue: they are never
+// stored on the job, logged, or part of the build fingerprint.
+// ══════════════════════════════════════════════════════════════════════════════
+const DEPLOY_TIMEOUT_MS = Number(process.env.DEPLOY_TIMEOUT_MS) || 15 * 60 * 1000;
+const DEPLOY_CONNECT_TIMEOUT_MS = Number(process.env.DEPLOY_CONNECT_TIMEOUT_MS) || 20000;
+// Directory deploys are disabled unless the operator mounts a root for them
+const DEPLOY_DIRECTORY_ROOT = process.env.DEPLOY_DIRECTORY_ROOT ? path.resolve(process.env.DEPLOY_DIRECTORY_ROOT) : null;
+const MAX_DEPLOY_TARGETS = 5;
+
+function deployHost(config) {
+  const host = (config.host || '').toString().trim();
+  if (!/^[\w.-]+$/.test(host) && !/^\[?[0-9a-f:]+\]?$/i.test(host)) throw new Error('host must be a hostname or IP address');
+  return host.replace(/^\[|\]$/g, '');
+}
+
+function deployPort(config, fallback) {
+  if (config.port === undefined) return fallback;
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('port must be between 1 and 65535');
+  return port;
+}
+
+function deployRemoteDir(config) {
+  const dir = (config.remoteDir || '').toString().trim();
+  if (!dir || dir.includes('\0')) throw new Error('remoteDir is required');
+  if (dir.split('/').includes('..')) throw new Error('remoteDir must not contain .. segments');
+  return path.posix.normalize(dir).replace(/(.)\/$/, '$1');
+}
+
+function deploySecret(config, field) {
+  if (config[field] === undefined || config[field] === null || config[field] === '') return undefined;
+  if (typeof config[field] !== 'string') throw new Error(`${field} must be a string`);
+  return config[field];
+}
+
+// OpenSSH prints host keys as SHA256:<unpadded base64>
+function sshKeyFingerprint(key) {
+  return `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+}
+
+function parseSftpTarget(config) {
+  const settings = {
+    host: deployHost(config),
+    port: deployPort(config, 22),
+    username: (config.username || '').toString(),
+    remoteDir: deployRemoteDir(config),
+    hostFingerprint: config.hostFingerprint ? `SHA256:${config.hostFingerprint.toString().replace(/^SHA256:/, '').replace(/=+$/, '')}` : null,
+  };
+  if (!settings.username) throw new Error('username is required');
+  const secrets = { password: deploySecret(config, 'password'), privateKey: deploySecret(config, 'privateKey'), passphrase: deploySecret(config, 'passphrase') };
+  if (!secrets.password && !secrets.privateKey) throw new Error('password or privateKey is required');
+  return { settings, secrets, destination: `sftp://${settings.username}@${settings.host}:${settings.port}/${settings.remoteDir.replace(/^\//, '')}` };
+}
+
+async function connectSftp(settings, secrets, result) {
+  // Connection errors reject the pending call; the default listeners would only print them again
+  const client = new SftpClient('deploy', { error: () => {}, end: () => {}, close: () => {} });
+  await client.connect({
+    host: settings.host,
+    port: settings.port,
+    username: settings.username,
+    password: secrets.password,
+    privateKey: secrets.privateKey,
+    passphrase: secrets.passphrase,
+    readyTimeout: DEPLOY_CONNECT_TIMEOUT_MS,
+    retries: 0,
+    // Without a pinned fingerprint the key is accepted, but reported so it can be pinned next time
+    hostVerifier: (key) => {
+      result.hostFingerprint = sshKeyFingerprint(key);
+      return !settings.hostFingerprint || result.hostFingerprint === settings.hostFingerprint;
+    },
+  });
+  return {
+    mkdir: (dir) => client.mkdir(dir, true),
+    upload: (localFile, remoteFile) => client.put(localFile, remoteFile),
+    close: () => client.end().catch(() => {}),
+  };
+}
+
+function parseFtpTarget(config) {
+  if (config.secure !== undefined && ![true, false, 'implicit'].includes(config.secure)) throw new Error('secure must be true, false or "implicit"');
+  const settings = {
+    host: deployHost(config),
+    port: deployPort(config, config.secure === 'implicit' ? 990 : 21),
+    user: (config.user || config.username || '').toString(),
+    remoteDir: deployRemoteDir(config),
+    secure: config.secure === undefined ? true : config.secure,
+    allowInvalidCertificate: config.allowInvalidCertificate === true,
+  };
+  if (!settings.user) throw new Error('user is required');
+  const secrets = { password: deploySecret(config, 'password') };
+  const scheme = settings.secure ? 'ftps' : 'ftp';
+  return { settings, secrets, destination: `${scheme}://${settings.user}@${settings.host}:${settings.port}/${settings.remoteDir.replace(/^\//, '')}` };
+}
+
+async function connectFtp(settings, secrets) {
+  const client = new FtpClient(DEPLOY_CONNECT_TIMEOUT_MS);
+  await client.access({
+    host: settings.host,
+    port: settings.port,
+    user: settings.user,
+    password: secrets.password,
+    secure: settings.secure,
+    secureOptions: { rejectUnauthorized: !settings.allowInvalidCertificate },
+  });
+  // ensureDir changes the working directory, so everything else uses absolute paths
+  const home = await client.pwd();
+  const absolute = (remotePath) => path.posix.resolve(home, remotePath);
+  return {
+    mkdir: (dir) => client.ensureDir(absolute(dir)),
+    upload: (localFile, remoteFile) => client.uploadFrom(localFile, absolute(remoteFile)),
+    close: () => client.close(),
+  };
+}
+
+function parseDirectoryTarget(config) {
+  if (!DEPLOY_DIRECTORY_ROOT) throw new Error('directory deploys are disabled on this server (DEPLOY_DIRECTORY_ROOT is not set)');
+  const relative = (config.path || '').toString().trim();
+  if (!relative || !isInsideRelativePath(relative)) throw new Error('path must be a relative path inside the deploy root');
+  const target = path.resolve(DEPLOY_DIRECTORY_ROOT, relative);
+  if (target === DEPLOY_DIRECTORY_ROOT) throw new Error('path must name a directory below the deploy root');
+  return { settings: { target }, secrets: {}, destination: `file://${target}` };
+}
+
+// Files are staged next to the target and swapped in at the end, so the
+// directory never serves a half-copied site
+async function openDirectoryTarget(settings, secrets, result, jobId) {
+  const staging = `${settings.target}.deploying-${jobId}`;
+  const previous = `${settings.target}.previous-${jobId}`;
+  await fs.remove(staging);
+  await fs.ensureDir(staging);
+  return {
+    remoteDir: staging,
+    mkdir: (dir) => fs.ensureDir(dir),
+    upload: (localFile, remoteFile) => fs.copyFile(localFile, remoteFile),
+    finish: async () => {
+      if (await fs.pathExists(settings.target)) await fs.rename(settings.target, previous);
+      await fs.rename(staging, settings.target);
+      await fs.remove(previous);
+    },
+    close: () => fs.remove(staging).catch(() => {}),
+  };
+}
+
+const DEPLOY_TARGET_TYPES = {
+  sftp: { parse: parseSftpTarget, connect: connectSftp },
+  ftp: { parse: parseFtpTarget, connect: connectFtp },
+  directory: { parse: parseDirectoryTarget, connect: openDirectoryTarget },
+};
+
+async function listDeployFiles(root, dir = root, files = []) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) await listDeployFiles(root, full, files);
+    else if (entry.isFile()) files.push({ local: full, relative: path.relative(root, full).split(path.sep).join('/'), size: (await fs.stat(full)).size });
+  }
+  return files;
+}
+
+// Server error messages can echo what they were sent, so strip secrets before reporting
+function redactSecrets(message, secrets) {
+  return Object.values(secrets)
+    .filter(secret => typeof secret === 'string' && secret.length >= 4)
+    .reduce((text, secret) => text.split(secret).join('***'), message);
+}
+
+// Uploads every file under localDir; `result` is updated in place as it goes
+async function deployToTarget(jobId, localDir, target, result, { signal, onProgress }) {
+  const type = DEPLOY_TARGET_TYPES[target.type];
+  const files = await listDeployFiles(localDir);
+  Object.assign(result, {
+    status: 'running',
+    filesTotal: files.length,
+    filesUploaded: 0,
+    bytesTotal: files.reduce((sum, file) => sum + file.size, 0),
+    bytesUploaded: 0,
+    startedAt: Date.now(),
+  });
+  onProgress(true);
+
+  let session = null;
+  let stopReason = null;
+  // Closing the connection rejects the upload in flight, which ends the loop below
+  const stop = (reason) => {
+    stopReason = stopReason || reason;
+    if (session) session.close();
+  };
+  const onAbort = () => stop('Cancelled');
+  const timer = setTimeout(() => stop(`Timed out after ${DEPLOY_TIMEOUT_MS} ms`), DEPLOY_TIMEOUT_MS);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    session = await type.connect(target.settings, target.secrets, result, jobId);
+    if (stopReason) throw new Error(stopReason);
+    const remoteRoot = session.remoteDir || target.settings.remoteDir;
+    const join = session.remoteDir ? path.join : path.posix.join;
+
+    const created = new Set();
+    for (const file of files) {
+      if (stopReason) throw new Error(stopReason);
+      const remoteFile = join(remoteRoot, ...file.relative.split('/'));
+      const remoteParent = join(remoteFile, '..');
+      if (!created.has(remoteParent)) {
+        await session.mkdir(remoteParent);
+        created.add(remoteParent);
+      }
+      await session.upload(file.local, remoteFile);
+      result.filesUploaded++;
+      result.bytesUploaded += file.size;
+      onProgress();
+    }
+    if (session.finish) await session.finish();
+    result.status = 'completed';
+  } catch (err) {
+    result.status = 'failed';
+    result.error = redactSecrets(stopReason || err.message, target.secrets);
   } finally {
-    if (browser) await browser.close();
-    if (server) server.close();
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    if (session) await session.close();
+    result.finishedAt = Date.now();
+    result.durationMs = result.finishedAt - result.startedAt;
+  }
+  return result;
+}
+
+// Runs the targets in order and reports them on job.deploy; a failed target
+// doesn't stop the others or fail the build, whose artifact is still good
+async function runDeployTargets(jobId, localDir, targets, signal) {
+  const results = targets.map(target => ({ type: target.type, destination: target.destination, status: 'pending' }));
+  let lastUpdate = 0;
+  const onProgress = (force = false) => {
+    if (!force && Date.now() - lastUpdate < 1000) return;
+    lastUpdate = Date.now();
+    updateJob(jobId, { deploy: results.map(result => ({ ...result })) });
+  };
+  onProgress(true);
+
+  for (const [i, target] of targets.entries()) {
+    if (signal && signal.aborted) break;
+    jobLog(jobId, `Deploying to ${target.destination}`);
+    const result = await deployToTarget(jobId, localDir, target, results[i], { signal, onProgress });
+    jobLog(jobId, result.status === 'completed'
+      ? `Deployed ${result.filesUploaded} files (${result.bytesUploaded} bytes) to ${target.destination} in ${result.durationMs} ms`
+      : `Deploy to ${target.destination} failed: ${result.error}`, result.status === 'completed' ? 'info' : 'error');
+    onProgress(true);
+  }
+  return results;
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// BUILD PROCESS
+// ══════════════════════════════════════════════════════════════════════════════
+async function processBuild(jobId, workDir, baseUrl, platform, routes, selectedRoutes, injectGuard, options = {}) {
+  const { signal } = options;
+  const throwIfCancelled = () => { if (signal && signal.aborted) throw new Error('Cancelled'); };
+
+  try {
+    jobLog(jobId, 'Starting build');
+
+    let projectRoot = workDir;
+    const entries = await fs.readdir(workDir);
+    if (entries.length === 1) {
+      const singleEntry = path.join(workDir, entries[0]);
+      const stat = await fs.stat(singleEntry);
+      if (stat.isDirectory() && await fs.pathExists(path.join(singleEntry, 'package.json'))) {
+        projectRoot = singleEntry;
+      }
+    }
+
+    jobLog(jobId, `Project: ${path.relative(workDir, projectRoot) || '.'}`);
+
+    const project = await detectProject(projectRoot, options.project);
+    const appRoot = path.join(projectRoot, project.appDir);
+    const { packageManager } = project;
+    updateJob(jobId, { project: { ...project, packageManager: packageManager.name, lockfile: packageManager.lockfile } });
+    jobLog(jobId, `Detected ${project.framework} app in ${project.appDir}, output ${project.outputDir || 'auto'}, base ${project.basePath}`);
+    for (const warning of project.warnings) jobLog(jobId, warning, 'stderr');
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 10, status: 'stripping-routes' });
+    if (selectedRoutes.length > 0) {
+      const routeStrip = stripUnusedRoutes(appRoot, selectedRoutes);
+      jobLog(jobId, `Routes kept: ${routeStrip.kept.length}, removed: ${routeStrip.removed.length}`);
+      updateJob(jobId, { routeStrip });
+    }
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 15, status: 'injecting-guard' });
+    if (injectGuard) {
+      const routeGuard = selectedRoutes.length > 0
+        ? injectRouteGuard(appRoot, selectedRoutes, { basePath: project.basePath, ...options.routeGuard })
+        : { injected: false, reason: 'No selected routes' };
+      jobLog(jobId, routeGuard.injected
+        ? `Route guard injected (${routeGuard.strategy} in ${routeGuard.file})`
+        : `Route guard not injected: ${routeGuard.reason}`, routeGuard.injected ? 'info' : 'stderr');
+      for (const warning of routeGuard.warnings || []) jobLog(jobId, `Route guard: ${warning}`, 'stderr');
+      updateJob(jobId, { routeGuard });
+    }
+
+    throwIfCancelled();
+    const brandTheme = options.theme || {};
+    const brandAssets = options.brandAssets || {};
+    if (Object.keys(brandTheme).length > 0 || Object.keys(brandAssets).length > 0) {
+      updateJob(jobId, { progress: 18, status: 'customizing' });
+      const customization = await applyThemeCustomization(appRoot, project, brandTheme, brandAssets);
+      const changed = [
+        ...customization.stylesheets.map(sheet => sheet.file),
+        customization.tailwindConfig && customization.tailwindConfig.updated.length > 0 && customization.tailwindConfig.file,
+        customization.html,
+        ...Object.values(customization.assets).flat(),
+      ].filter(Boolean);
+      jobLog(jobId, `Theme applied to ${changed.length} files: ${changed.join(', ') || 'none'}`);
+      for (const warning of customization.warnings) jobLog(jobId, `Theme: ${warning}`, 'stderr');
+      updateJob(jobId, { customization });
+    }
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 20, status: 'installing' });
+    const onOutput = (line, stream) => jobLog(jobId, line, stream);
+    const ignoreScripts = IGNORE_INSTALL_SCRIPTS || options.ignoreScripts === true;
+    const [installCmd, installArgs] = installCommand(packageManager, ignoreScripts);
+    if (SANDBOX_MODE !== 'off') await prepareSandbox(workDir);
+    updateJob(jobId, { sandbox: { mode: SANDBOX_MODE, packageManager: packageManager.name, lockfile: packageManager.lockfile, ignoreScripts } });
+
+    const installStarted = Date.now();
+    const dependencyCache = { status: DEPS_CACHE_ENABLED ? 'miss' : 'disabled' };
+    let cacheDir;
+    if (DEPS_CACHE_ENABLED) {
+      const scope = dependencyCacheScope(jobs.get(jobId).ownerKeyId, ignoreScripts);
+      dependencyCache.scope = scope;
+      dependencyCache.key = await dependencyCacheKey(projectRoot, packageManager, scope);
+      cacheDir = packageCacheDir(scope);
+      await fs.ensureDir(cacheDir);
+      // Workspaces keep node_modules per package too, which a root snapshot would miss
+      if (project.workspace || await fs.pathExists(path.join(projectRoot, 'node_modules'))) dependencyCache.status = 'bypassed';
+      else if (await restoreDependencies(projectRoot, dependencyCache.key)) dependencyCache.status = 'hit';
+    }
+
+    if (dependencyCache.status === 'hit') {
+      dependencyCacheStats.hits++;
+      jobLog(jobId, `Dependency cache hit (${dependencyCache.key}), skipping install`);
+    } else {
+      if (dependencyCache.status === 'miss') dependencyCacheStats.misses++;
+      jobLog(jobId, `Sandbox: ${SANDBOX_MODE}, installing with ${installCmd} ${installArgs.join(' ')} (dependency cache ${dependencyCache.status})`);
+      await runSandboxed(installCmd, installArgs, projectRoot, workDir, { onOutput, signal, timeoutMs: INSTALL_TIMEOUT_MS, cacheDir });
+
+      if (dependencyCache.status === 'miss') {
+        try {
+          dependencyCache.saved = await saveDependencies(projectRoot, dependencyCache.key, {
+            scope: dependencyCache.scope,
+            packageManager: packageManager.name,
+            lockfile: packageManager.lockfile,
+          });
+        } catch (err) {
+          jobLog(jobId, `Could not save dependency snapshot: ${err.message}`, 'stderr');
+        }
+      }
+    }
+    dependencyCache.durationMs = Date.now() - installStarted;
+    updateJob(jobId, { dependencyCache });
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 50, status: 'building' });
+    const shippedOutput = project.outputDir && await appOutputPath(appRoot, project.outputDir);
+    if (shippedOutput && await fs.pathExists(shippedOutput)) {
+      jobLog(jobId, `Removing ${project.outputDir}/ shipped in the upload`);
+      await fs.remove(shippedOutput);
+    }
+    const [runCmd, runArgs] = packageManager.run;
+    // Prefix of the asset URLs the build emits, for anything added to its HTML later
+    let assetBase = `${project.basePath.replace(/\/$/, '')}/`;
+    if (platform === 'wordpress') {
+      if (project.framework === 'vite') {
+        assetBase = './';
+        const config = await forceViteRelativeBase(appRoot);
+        jobLog(jobId, `Building with a relative asset base (${config} wraps the project's Vite config)`);
+      } else {
+        jobLog(jobId, `Cannot force a relative asset base for a ${project.framework} build; root-relative asset URLs may 404 under WordPress`, 'stderr');
+      }
+    }
+    const buildStartedAt = Date.now();
+    await runSandboxed(runCmd, [...runArgs, project.buildScript], path.join(projectRoot, project.buildDir), workDir, {
+      onOutput,
+      signal,
+      timeoutMs: BUILD_TIMEOUT_MS,
+    });
+
+    const { distPath, fresh } = await resolveOutputDir(appRoot, project, buildStartedAt);
+    if (!fresh) jobLog(jobId, `No fresh index.html in the build output; using ${path.relative(appRoot, distPath)}/, which may be stale`, 'stderr');
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 70, status: 'prerendering' });
+    const expansion = await expandRoutes(appRoot, selectedRoutes, options.routeParams);
+    if (expansion.expanded.length > 0 || expansion.errors.length > 0) {
+      jobLog(jobId, `Expanded ${expansion.expanded.length} dynamic URLs, ${expansion.errors.length} param errors`);
+    }
+    const { screenshots } = options;
+    const { metadata = [], captures, ...prerenderResult } = await prerenderRoutes(distPath, expansion.urls, jobId, signal, {
+      readiness: options.readiness,
+      concurrency: options.prerenderConcurrency,
+      retries: options.prerenderRetries,
+      basePath: project.basePath,
+      capture: screenshots && { dir: reportDirFor(jobId), viewports: screenshots.viewports, fullPage: screenshots.fullPage },
+    });
+    if (!prerenderResult.skipped) {
+      prerenderResult.seo = buildSeoReport(metadata);
+      if (options.siteUrl) prerenderResult.seo.files = await writeSeoFiles(distPath, metadata, options.siteUrl);
+      jobLog(jobId, `SEO: ${prerenderResult.seo.issueCount} issues across ${metadata.length} pages`);
+
+      const failures = new Map(prerenderResult.failed.map(f => [f.route, f.error]));
+      prerenderResult.dynamic = expansion.expanded.map(({ pattern, url }) => ({
+        pattern,
+        url,
+        status: prerenderResult.success.includes(url) ? 'success' : 'failed',
+        error: failures.get(url),
+      }));
+    }
+    prerenderResult.paramErrors = expansion.errors;
+    recordPrerenderMetrics(prerenderResult);
+
+    let visualReport = null;
+    if (captures && captures.length > 0) {
+      visualReport = await writeVisualReport(jobId, captures, screenshots);
+      const { comparison } = visualReport;
+      jobLog(jobId, `Visual report: ${visualReport.pages} pages, ${visualReport.consoleErrors} console errors, ${visualReport.failedRequests} failed requests`
+        + (comparison ? `, ${comparison.error || `${comparison.changed.length} changed vs ${comparison.baselineJobId}`}` : ''));
+      updateJob(jobId, { visualReport });
+    }
+
+    if (options.optimizeHtml && !prerenderResult.skipped && prerenderResult.success.length > 0) {
+      prerenderResult.optimization = await optimizePrerenderedHtml(distPath, prerenderResult.success, jobId, assetBase);
+    }
+
+    throwIfCancelled();
+    updateJob(jobId, { progress: 90, status: 'packaging' });
+    const outputPath = path.join(BASE_WORK_DIR, 'outputs', `${jobId}.zip`);
+    await fs.ensureDir(path.dirname(outputPath));
+
+    let theme = null;
+    if (platform === 'wordpress') {
+      theme = await packageWordPressTheme(appRoot, distPath, outputPath, prerenderResult, options.themeName);
+      if (visualReport) jobLog(jobId, 'Visual report is not bundled into WordPress themes; see GET /jobs/:jobId/screenshots');
+    } else {
+      const outputZip = new AdmZip();
+      outputZip.addLocalFolder(distPath);
+      if (visualReport) outputZip.addLocalFolder(reportDirFor(jobId), 'report');
+      outputZip.writeZip(outputPath);
+    }
+    artifactSizeBytes.observe((await fs.stat(outputPath)).size);
+
+    let deploy;
+    if (options.deployTargets && options.deployTargets.length > 0) {
+      throwIfCancelled();
+      updateJob(jobId, { progress: 95, status: 'deploying' });
+      deploy = await runDeployTargets(jobId, distPath, options.deployTargets, signal);
+    }
+
+    // The job's expiresAt is set by this update, ARTIFACT_TTL_MS from now
+    const dlToken = signDownloadToken(jobId, Math.ceil(ARTIFACT_TTL_MS / 1000));
+    const downloadUrl = `${baseUrl}/download/${jobId}?t=${dlToken}`;
+
+    throwIfCancelled();
+    jobLog(jobId, '✓ Complete');
+    updateJob(jobId, { progress: 100, status: 'completed', downloadUrl, prerenderResult, theme, ...(deploy && { deploy }) });
+    await fs.remove(workDir);
+
+  } catch (error) {
+    if (signal && signal.aborted) {
+      jobLog(jobId, '✗ Cancelled');
+      await fs.remove(workDir).catch(() => {});
+      await fs.remove(reportDirFor(jobId)).catch(() => {});
+      await fs.remove(path.join(BASE_WORK_DIR, 'outputs', `${jobId}.zip`)).catch(() => {});
+      updateJob(jobId, { status: 'cancelled' });
+      return;
+    }
+    jobLog(jobId, `✗ Failed: ${error.message}`, 'error');
+    updateJob(jobId, { status: 'failed', error: error.message });
+    await fs.remove(workDir).catch(() => {});
+    await fs.remove(reportDirFor(jobId)).catch(() => {});
+  }
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// BUILD QUEUE
+// ══════════════════════════════════════════════════════════════════════════════
+const MAX_CONCURRENT_BUILDS = Math.max(1, Number(process.env.MAX_CONCURRENT_BUILDS) || 1);
+const MAX_QUEUED_BUILDS = Math.max(0, Number(process.env.MAX_QUEUED_BUILDS ?? 20));
+
+const buildQueue = [];
+const runningBuildControllers = new Map();
+let runningBuilds = 0;
+// Uploads that passed the queue check but are still being unpacked; they hold
+// their place so a burst of uploads can't all pass before any is queued
+let settingUpBuilds = 0;
+
+// A free slot always accepts, so MAX_QUEUED_BUILDS=0 means "no waiting", not "no builds"
+function isBuildQueueFull() {
+  return runningBuilds + buildQueue.length + settingUpBuilds >= MAX_CONCURRENT_BUILDS + MAX_QUEUED_BUILDS;
+}
+
+function refreshQueuePositions() {
+  buildQueue.forEach((entry, i) => updateJob(entry.jobId, { queuePosition: i + 1 }));
+}
+
+function drainBuildQueue() {
+  while (runningBuilds < MAX_CONCURRENT_BUILDS && buildQueue.length > 0) {
+    const { jobId, run } = buildQueue.shift();
+    const controller = new AbortController();
+    runningBuildControllers.set(jobId, controller);
+    runningBuilds++;
+    console.log(`[Queue] Starting ${jobId} (${runningBuilds}/${MAX_CONCURRENT_BUILDS} running, ${buildQueue.length} waiting)`);
+    updateJob(jobId, { status: 'processing', queuePosition: null });
+    Promise.resolve()
+      .then(() => run(controller.signal))
+      .catch(err => console.error(`[Queue] ${jobId} crashed: ${err.message}`))
+      .finally(() => {
+        runningBuildControllers.delete(jobId);
+        runningBuilds--;
+        drainBuildQueue();
+      });
   }
+  refreshQueuePositions();
+}
 
-  console.log(`[${jobId}][Prerender] Done: ${results.success.length}/${routes.length}`);
-  return results;
+// Returns false when the job was cancelled before it could be queued
+function enqueueBuild(jobId, run) {
+  const job = jobs.get(jobId);
+  if (!job || job.status === 'cancelled') {
+    // Cancelled while POST /build was still unpacking the upload
+    fs.remove(path.join(BASE_WORK_DIR, 'builds', jobId)).catch(() => {});
+    return false;
+  }
+  buildQueue.push({ jobId, run });
+  console.log(`[Queue] Queued ${jobId} at position ${buildQueue.length}`);
+  drainBuildQueue();
+  return true;
+}
+
+// Returns the status the job moved to, or null when it has nothing left to cancel
+async function cancelBuild(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || TERMINAL_STATUSES.has(job.status)) return null;
+
+  const controller = runningBuildControllers.get(jobId);
+  if (controller) {
+    console.log(`[Queue] Cancelling running ${jobId}`);
+    updateJob(jobId, { status: 'cancelling' });
+    controller.abort();
+    return 'cancelling';
+  }
+
+  // Queued, or still being unpacked by POST /build and not yet in the queue
+  const index = buildQueue.findIndex(entry => entry.jobId === jobId);
+  if (index !== -1) buildQueue.splice(index, 1);
+  console.log(`[Queue] Cancelling queued ${jobId}`);
+  jobLog(jobId, '✗ Cancelled while queued');
+  await fs.remove(path.join(BASE_WORK_DIR, 'builds', jobId)).catch(() => {});
+  updateJob(jobId, { status: 'cancelled', queuePosition: null });
+  refreshQueuePositions();
+  return 'cancelled';
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
-// BUILD PROCESS
+// JANITOR
+// Periodically expires artifacts, stale work directories and old job records,
+// then evicts the oldest artifacts and dependency snapshots while the server's
+// directories under BASE_WORK_DIR exceed DISK_CAP_MB. Active builds are never
+// touched.
 // ══════════════════════════════════════════════════════════════════════════════
-async function processBuild(jobId, workDir, baseUrl, platform, routes, selectedRoutes, injectGuard) {
-  try {
-    console.log(`[${jobId}] Starting build`);
+const HOUR_MS = 60 * 60 * 1000;
+const JOB_TTL_MS = (Number(process.env.JOB_TTL_HOURS) || 7 * 24) * HOUR_MS;
+const ARTIFACT_TTL_MS = (Number(process.env.ARTIFACT_TTL_HOURS) || 24) * HOUR_MS;
+const WORKDIR_TTL_MS = (Number(process.env.WORKDIR_TTL_HOURS) || 2) * HOUR_MS;
+const DISK_CAP_BYTES = (Number(process.env.DISK_CAP_MB) || 10 * 1024) * 1024 * 1024;
+const JANITOR_INTERVAL_MS = Number(process.env.JANITOR_INTERVAL_MS) || 10 * 60 * 1000;
+const OUTPUTS_DIR = path.join(BASE_WORK_DIR, 'outputs');
+const BUILDS_DIR = path.join(BASE_WORK_DIR, 'builds');
 
-    let projectRoot = workDir;
-    const entries = await fs.readdir(workDir);
-    if (entries.length === 1) {
-      const singleEntry = path.join(workDir, entries[0]);
-      const stat = await fs.stat(singleEntry);
-      if (stat.isDirectory() && await fs.pathExists(path.join(singleEntry, 'package.json'))) {
-        projectRoot = singleEntry;
-      }
-    }
+let storageStats = null;
+let janitorRunning = false;
 
-    console.log(`[${jobId}] Project: ${projectRoot}`);
+async function directorySize(target) {
+  const stat = await fs.lstat(target).catch(() => null);
+  if (!stat) return 0;
+  if (!stat.isDirectory()) return stat.size;
+  let total = 0;
+  for (const name of await fs.readdir(target).catch(() => [])) {
+    total += await directorySize(path.join(target, name));
+  }
+  return total;
+}
 
-    updateJob(jobId, { progress: 10, status: 'stripping-routes' });
-    if (selectedRoutes.length > 0) stripUnusedRoutes(projectRoot, selectedRoutes);
+async function removeArtifact(jobId, reason) {
+  await fs.remove(path.join(OUTPUTS_DIR, `${jobId}.zip`));
+  updateJob(jobId, { downloadUrl: null, artifactRemovedAt: Date.now(), artifactRemovedReason: reason });
+}
 
-    updateJob(jobId, { progress: 15, status: 'injecting-guard' });
-    if (injectGuard && selectedRoutes.length > 0) injectRouteGuard(projectRoot, selectedRoutes);
+async function removeJobRecord(jobId) {
+  await fs.remove(path.join(OUTPUTS_DIR, `${jobId}.zip`)).catch(() => {});
+  await fs.remove(logFileFor(jobId)).catch(() => {});
+  await fs.remove(reportDirFor(jobId)).catch(() => {});
+  jobs.delete(jobId);
+}
 
-    updateJob(jobId, { progress: 20, status: 'installing' });
-    await runCommand('npm', ['install', '--legacy-peer-deps'], projectRoot);
+async function expireArtifacts(now) {
+  let removed = 0;
+  for (const file of await fs.readdir(OUTPUTS_DIR).catch(() => [])) {
+    if (!file.endsWith('.zip')) continue;
+    const jobId = path.basename(file, '.zip');
+    const job = jobs.get(jobId);
+    const stat = await fs.stat(path.join(OUTPUTS_DIR, file)).catch(() => null);
+    if (!stat) continue;
+    const expiresAt = (job && job.expiresAt) || stat.mtimeMs + ARTIFACT_TTL_MS;
+    if (now < expiresAt) continue;
+    await removeArtifact(jobId, 'expired');
+    removed++;
+  }
+  return removed;
+}
 
-    updateJob(jobId, { progress: 50, status: 'building' });
-    await runCommand('npm', ['run', 'build'], projectRoot);
+async function removeStaleWorkDirs(now) {
+  let removed = 0;
+  for (const name of await fs.readdir(BUILDS_DIR).catch(() => [])) {
+    const job = jobs.get(name);
+    if (job && !TERMINAL_STATUSES.has(job.status)) continue;
+    const dir = path.join(BUILDS_DIR, name);
+    const stat = await fs.stat(dir).catch(() => null);
+    if (!stat || now - stat.mtimeMs < WORKDIR_TTL_MS) continue;
+    await fs.remove(dir);
+    removed++;
+  }
+  return removed;
+}
 
-    const distCandidates = ['dist', 'build', 'out'];
-    let distPath = null;
-    for (const c of distCandidates) {
-      const p = path.join(projectRoot, c);
-      if (await fs.pathExists(p)) { distPath = p; break; }
+async function expireJobRecords(now) {
+  let removed = 0;
+  for (const job of [...jobs.values()]) {
+    if (!TERMINAL_STATUSES.has(job.status)) continue;
+    if (now - (job.finishedAt || job.startTime) < JOB_TTL_MS) continue;
+    await removeJobRecord(job.id);
+    removed++;
+  }
+
+  // Logs and visual reports whose job record is already gone
+  for (const file of await fs.readdir(LOGS_DIR).catch(() => [])) {
+    const jobId = path.basename(file, '.ndjson');
+    if (jobs.has(jobId)) continue;
+    const stat = await fs.stat(path.join(LOGS_DIR, file)).catch(() => null);
+    if (stat && now - stat.mtimeMs >= JOB_TTL_MS) await fs.remove(path.join(LOGS_DIR, file)).catch(() => {});
+  }
+  for (const name of await fs.readdir(REPORTS_DIR).catch(() => [])) {
+    if (!jobs.has(name)) await fs.remove(reportDirFor(name)).catch(() => {});
+  }
+  return removed;
+}
+
+async function measureStorage() {
+  const usage = {
+    builds: await directorySize(BUILDS_DIR),
+    outputs: 0,
+    logs: await directorySize(LOGS_DIR),
+    reports: await directorySize(REPORTS_DIR),
+    jobs: JOB_STORE === 'file' ? await directorySize(JOBS_DIR) : 0,
+    dependencyCache: await directorySize(DEPS_PACKAGES_DIR),
+  };
+  const evictable = [];
+
+  for (const file of await fs.readdir(OUTPUTS_DIR).catch(() => [])) {
+    const stat = await fs.stat(path.join(OUTPUTS_DIR, file)).catch(() => null);
+    if (!stat) continue;
+    usage.outputs += stat.size;
+    if (file.endsWith('.zip')) {
+      evictable.push({ kind: 'artifact', id: path.basename(file, '.zip'), size: stat.size, time: stat.mtimeMs });
     }
-    if (!distPath) throw new Error('No dist folder');
+  }
 
-    updateJob(jobId, { progress: 70, status: 'prerendering' });
-    const prerenderResult = await prerenderRoutes(distPath, selectedRoutes, jobId);
+  for (const name of await fs.readdir(DEPS_SNAPSHOTS_DIR).catch(() => [])) {
+    const dir = path.join(DEPS_SNAPSHOTS_DIR, name);
+    const size = await directorySize(dir);
+    usage.dependencyCache += size;
+    if (name.includes('.tmp-')) continue;
+    const meta = await fs.readJson(path.join(dir, 'meta.json')).catch(() => ({}));
+    evictable.push({ kind: 'snapshot', id: name, size, time: meta.lastUsedAt || 0 });
+  }
 
-    updateJob(jobId, { progress: 90, status: 'packaging' });
-    const outputZip = new AdmZip();
-    outputZip.addLocalFolder(distPath);
+  const totalBytes = Object.values(usage).reduce((sum, bytes) => sum + bytes, 0);
+  return { totalBytes, usage, evictable: evictable.sort((a, b) => a.time - b.time) };
+}
 
-    const outputPath = path.join(BASE_WORK_DIR, 'outputs', `${jobId}.zip`);
-    await fs.ensureDir(path.dirname(outputPath));
-    outputZip.writeZip(outputPath);
+async function enforceDiskCap(measured) {
+  let { totalBytes } = measured;
+  const evicted = [];
+  for (const item of measured.evictable) {
+    if (totalBytes <= DISK_CAP_BYTES) break;
+    if (item.kind === 'artifact') await removeArtifact(item.id, 'disk-cap');
+    else await fs.remove(path.join(DEPS_SNAPSHOTS_DIR, item.id));
+    totalBytes -= item.size;
+    evicted.push(`${item.kind}:${item.id}`);
+  }
+  return { totalBytes, evicted };
+}
 
-    const dlToken = signDownloadToken(jobId);
-    const downloadUrl = `${baseUrl}/download/${jobId}?t=${dlToken}`;
+async function runJanitor() {
+  if (janitorRunning) return;
+  janitorRunning = true;
+  const started = Date.now();
+  try {
+    const removed = {
+      artifacts: await expireArtifacts(started),
+      workDirs: await removeStaleWorkDirs(started),
+      jobs: await expireJobRecords(started),
+    };
 
-    updateJob(jobId, { progress: 100, status: 'completed', downloadUrl, prerenderResult });
-    console.log(`[${jobId}] ✓ Complete: ${downloadUrl}`);
-    await fs.remove(workDir);
+    const measured = await measureStorage();
+    const capped = measured.totalBytes > DISK_CAP_BYTES ? await enforceDiskCap(measured) : { totalBytes: measured.totalBytes, evicted: [] };
+    if (capped.evicted.length > 0) console.log(`[Janitor] Over disk cap, evicted ${capped.evicted.join(', ')}`);
 
-  } catch (error) {
-    console.error(`[${jobId}] ✗ Failed: ${error.message}`);
-    updateJob(jobId, { status: 'failed', error: error.message });
-    await fs.remove(workDir).catch(() => {});
+    const artifacts = (await fs.readdir(OUTPUTS_DIR).catch(() => [])).filter(file => file.endsWith('.zip')).length;
+    const workDirs = (await fs.readdir(BUILDS_DIR).catch(() => [])).length;
+    storageStats = {
+      usageBytes: capped.totalBytes,
+      capBytes: DISK_CAP_BYTES,
+      breakdown: measured.usage,
+      artifacts,
+      workDirs,
+      jobs: jobs.size,
+      lastRun: { at: new Date(started).toISOString(), durationMs: Date.now() - started, removed, evicted: capped.evicted.length },
+    };
+    console.log(`[Janitor] ${removed.artifacts} artifacts, ${removed.workDirs} work dirs, ${removed.jobs} jobs removed; using ${capped.totalBytes} bytes`);
+  } catch (err) {
+    console.error(`[Janitor] Failed: ${err.message}`);
+  } finally {
+    janitorRunning = false;
+  }
+}
+
+function startJanitor() {
+  setTimeout(runJanitor, 5000).unref();
+  setInterval(runJanitor, JANITOR_INTERVAL_MS).unref();
+}
+
+// ══════════════════════════════════════════════════════════════════════════════
+// BUILD DEDUPLICATION
+// A fingerprint covers the owner, the build options and every file's name,
+// CRC and size (not the raw zip bytes, which change with timestamps on re-zip).
+// ══════════════════════════════════════════════════════════════════════════════
+const BUILD_CACHE_ENABLED = process.env.BUILD_CACHE !== 'off';
+
+function buildFingerprint(ownerKeyId, inspection, build) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify({ ownerKeyId, build }));
+  const entries = inspection.entries
+    .map(entry => ({ ...entry, name: entry.name.slice(inspection.prefix.length) }))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) hash.update(`\n${entry.name}\0${entry.crc32}\0${entry.size}`);
+  return hash.digest('hex');
+}
+
+// Synchronous on purpose: POST /build must not yield between this lookup and
+// jobs.set, or two identical uploads could both start a build.
+function findReusableBuild(fingerprint) {
+  for (const job of jobs.values()) {
+    if (job.fingerprint !== fingerprint) continue;
+    // A cancelling build won't produce an artifact, so treat it as a miss
+    if (job.status === 'cancelling') continue;
+    if (!TERMINAL_STATUSES.has(job.status)) return { job, state: 'in-flight' };
+    // The janitor may not have swept an expired artifact yet; it'd 410 on download
+    const expired = job.artifactRemovedAt || (job.expiresAt && Date.now() >= job.expiresAt);
+    if (job.status === 'completed' && !expired && fs.existsSync(path.join(BASE_WORK_DIR, 'outputs', `${job.id}.zip`))) {
+      return { job, state: 'completed' };
+    }
   }
+  return null;
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
 // API ROUTES
 // ══════════════════════════════════════════════════════════════════════════════
-app.post('/build', authenticate, upload.single('zip'), async (req, res) => {
+// JSON.parse errors quote the input, so fields carrying credentials get a fixed
+// message: the error is logged and returned to the caller
+const SECRET_JSON_FIELDS = new Set(['deploy']);
+
+function parseJsonField(body, field, fallback) {
+  if (!body[field]) return fallback;
+  try {
+    return JSON.parse(body[field]);
+  } catch (err) {
+    const reason = SECRET_JSON_FIELDS.has(field) ? '' : `: ${err.message}`;
+    throw uploadError('INVALID_OPTIONS', `Field "${field}" is not valid JSON${reason}`, { field });
+  }
+}
+
+async function parseWebhook(body = {}) {
+  const raw = (body.callbackUrl || '').toString().trim();
+  if (!raw) return null;
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw uploadError('INVALID_OPTIONS', `callbackUrl is not a valid URL: ${raw}`, { field: 'callbackUrl' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw uploadError('INVALID_OPTIONS', `callbackUrl must be http(s): ${raw}`, { field: 'callbackUrl' });
+  }
+  try {
+    await assertPublicWebhookHost(webhookHostname(url.href));
+  } catch (err) {
+    throw uploadError('INVALID_OPTIONS', `callbackUrl must point to a public address: ${err.message}`, { field: 'callbackUrl' });
+  }
+  return { url: url.href, secret: (body.callbackSecret || '').toString() || null };
+}
+
+// Request-level overrides for project detection. Paths are relative to the upload root.
+function parseProjectOverrides(body) {
+  const text = (field) => (body[field] || '').toString().trim() || undefined;
+  const overrides = {
+    projectDir: text('projectDir'),
+    packageManager: text('packageManager'),
+    buildScript: text('buildScript'),
+    outputDir: text('outputDir'),
+    basePath: text('basePath'),
+  };
+
+  for (const field of ['projectDir', 'outputDir']) {
+    if (overrides[field] === undefined) continue;
+    if (!isInsideRelativePath(overrides[field])) {
+      throw uploadError('INVALID_OPTIONS', `${field} must be a relative path inside the project`, { field });
+    }
+    overrides[field] = path.posix.normalize(overrides[field].replace(/\\/g, '/')).replace(/\/$/, '');
+  }
+  if (overrides.packageManager && !PACKAGE_MANAGER_LOCKFILES[overrides.packageManager]) {
+    throw uploadError('INVALID_OPTIONS', `packageManager must be one of ${Object.keys(PACKAGE_MANAGER_LOCKFILES).join(', ')}`, { field: 'packageManager' });
+  }
+  if (overrides.buildScript && !/^[\w:.-]+$/.test(overrides.buildScript)) {
+    throw uploadError('INVALID_OPTIONS', 'buildScript must be the name of a package.json script', { field: 'buildScript' });
+  }
+  return overrides;
+}
+
+function parseRouteGuardOptions(body) {
+  const settings = parseJsonField(body, 'routeGuard', {});
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw uploadError('INVALID_OPTIONS', 'routeGuard must be a JSON object', { field: 'routeGuard' });
+  }
+  const invalid = (message) => uploadError('INVALID_OPTIONS', `routeGuard.${message}`, { field: 'routeGuard' });
+
+  if (settings.fallback !== undefined && !ROUTE_GUARD_FALLBACKS.includes(settings.fallback)) {
+    throw invalid(`fallback must be one of ${ROUTE_GUARD_FALLBACKS.join(', ')}`);
+  }
+  if (settings.redirectTo !== undefined && (typeof settings.redirectTo !== 'string' || !settings.redirectTo.startsWith('/'))) {
+    throw invalid('redirectTo must be a path starting with /');
+  }
+  if (settings.notFoundComponent !== undefined &&
+      (typeof settings.notFoundComponent !== 'string' || !isInsideRelativePath(settings.notFoundComponent))) {
+    throw invalid('notFoundComponent must be a relative path inside the project');
+  }
+  if (settings.notFoundHtml !== undefined && (typeof settings.notFoundHtml !== 'string' || settings.notFoundHtml.length > 100 * 1024)) {
+    throw invalid('notFoundHtml must be a string of at most 100 KB');
+  }
+  if (settings.basePath !== undefined) {
+    if (typeof settings.basePath !== 'string') throw invalid('basePath must be a string');
+    settings.basePath = normalizeBasePath(settings.basePath);
+  }
+
+  const { fallback, redirectTo, notFoundComponent, notFoundHtml, basePath } = settings;
+  return Object.fromEntries(Object.entries({ fallback, redirectTo, notFoundComponent, notFoundHtml, basePath }).filter(([, value]) => value !== undefined));
+}
+
+const HEX_COLOR = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+function parseThemeOptions(body) {
+  const theme = parseJsonField(body, 'theme', {});
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    throw uploadError('INVALID_OPTIONS', 'theme must be a JSON object', { field: 'theme' });
+  }
+  const invalid = (message) => uploadError('INVALID_OPTIONS', `theme.${message}`, { field: 'theme' });
+  const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  // Values end up inside CSS, HTML attributes and JS source
+  const isSafeText = (value, max = 300) => typeof value === 'string' && value.length <= max && !/[<>{};\\`]/.test(value);
+
+  for (const field of ['siteName']) {
+    if (theme[field] !== undefined && (typeof theme[field] !== 'string' || theme[field].length > 200)) {
+      throw invalid(`${field} must be a string of at most 200 characters`);
+    }
+  }
+  if (theme.colors !== undefined) {
+    if (!isPlainObject(theme.colors)) throw invalid('colors must be an object of name: "#hex"');
+    for (const [key, value] of Object.entries(theme.colors)) {
+      if (!/^[A-Za-z][\w-]*$/.test(key)) throw invalid(`colors has an invalid name: ${key}`);
+      if (typeof value !== 'string' || !HEX_COLOR.test(value)) throw invalid(`colors.${key} must be a hex color like #1d4ed8`);
+    }
+  }
+  if (theme.fonts !== undefined) {
+    if (!isPlainObject(theme.fonts)) throw invalid('fonts must be an object');
+    for (const [role, family] of Object.entries(theme.fonts)) {
+      if (!THEME_FONT_ROLES[role]) throw invalid(`fonts.${role} is not one of ${Object.keys(THEME_FONT_ROLES).join(', ')}`);
+      if (!isSafeText(family, 100) || /["']/.test(family)) throw invalid(`fonts.${role} must be a font family name`);
+    }
+  }
+  if (theme.googleFonts !== undefined && typeof theme.googleFonts !== 'boolean') throw invalid('googleFonts must be a boolean');
+  if (theme.meta !== undefined) {
+    if (!isPlainObject(theme.meta)) throw invalid('meta must be an object');
+    for (const [key, value] of Object.entries(theme.meta)) {
+      if (!['title', 'description', 'themeColor', 'ogImage', 'twitterCard'].includes(key)) throw invalid(`meta.${key} is not supported`);
+      if (typeof value !== 'string' || value.length > 500) throw invalid(`meta.${key} must be a string of at most 500 characters`);
+    }
+    if (theme.meta.themeColor !== undefined && !HEX_COLOR.test(theme.meta.themeColor)) throw invalid('meta.themeColor must be a hex color');
+  }
+  if (theme.cssVariables !== undefined) {
+    if (!isPlainObject(theme.cssVariables)) throw invalid('cssVariables must be an object');
+    for (const [name, value] of Object.entries(theme.cssVariables)) {
+      if (!/^--[\w-]+$/.test(name)) throw invalid(`cssVariables has an invalid name: ${name}`);
+      if (!isSafeText(value)) throw invalid(`cssVariables.${name} must be a plain CSS value`);
+    }
+  }
+  if (theme.assetTargets !== undefined) {
+    if (!isPlainObject(theme.assetTargets)) throw invalid('assetTargets must be an object');
+    for (const [field, targets] of Object.entries(theme.assetTargets)) {
+      if (!BRAND_ASSET_TYPES[field]) throw invalid(`assetTargets.${field} is not one of ${Object.keys(BRAND_ASSET_TYPES).join(', ')}`);
+      const list = Array.isArray(targets) ? targets : [targets];
+      if (list.some(target => typeof target !== 'string' || !isInsideRelativePath(target) || !path.extname(target))) {
+        throw invalid(`assetTargets.${field} must be relative file paths inside the project`);
+      }
+      theme.assetTargets[field] = list.map(target => path.posix.normalize(target.replace(/\\/g, '/')));
+    }
+  }
+
+  const { siteName, colors, fonts, googleFonts, meta, cssVariables, assetTargets } = theme;
+  return Object.fromEntries(Object.entries({ siteName, colors, fonts, googleFonts, meta, cssVariables, assetTargets }).filter(([, value]) => value !== undefined));
+}
+
+// Logo and favicon file fields; the type comes from the bytes, not the file name
+function parseBrandAssets(files = {}) {
+  const assets = {};
+  for (const [field, types] of Object.entries(BRAND_ASSET_TYPES)) {
+    const file = files[field] && files[field][0];
+    if (!file) continue;
+    if (file.size > MAX_BRAND_ASSET_SIZE) {
+      throw uploadError('INVALID_ASSET', `${field} exceeds ${MAX_BRAND_ASSET_SIZE} bytes`, { field, size: file.size });
+    }
+    const ext = sniffImageType(file.buffer);
+    if (!types.includes(ext)) {
+      throw uploadError('INVALID_ASSET', `${field} must be one of ${types.join(', ')}`, { field, detected: ext });
+    }
+    assets[field] = {
+      ext,
+      buffer: file.buffer,
+      size: file.size,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+    };
+  }
+  return assets;
+}
+
+// `deploy` is a JSON list of targets, e.g.
+//   [{ type: 'sftp', host, port, username, password | privateKey, passphrase, remoteDir, hostFingerprint },
+//    { type: 'ftp', host, port, user, password, secure, remoteDir }, { type: 'directory', path }]
+// Only the parsed destinations are ever stored; see DEPLOY TARGETS.
+function parseDeployTargets(body) {
+  const list = parseJsonField(body, 'deploy', []);
+  if (!Array.isArray(list) || list.length > MAX_DEPLOY_TARGETS) {
+    throw uploadError('INVALID_OPTIONS', `deploy must be a list of at most ${MAX_DEPLOY_TARGETS} targets`, { field: 'deploy' });
+  }
+  return list.map((config, i) => {
+    const type = config && DEPLOY_TARGET_TYPES[config.type];
+    if (!type) {
+      throw uploadError('INVALID_OPTIONS', `deploy[${i}].type must be one of ${Object.keys(DEPLOY_TARGET_TYPES).join(', ')}`, { field: 'deploy' });
+    }
+    try {
+      return { type: config.type, ...type.parse(config) };
+    } catch (err) {
+      throw uploadError('INVALID_OPTIONS', `deploy[${i}]: ${err.message}`, { field: 'deploy' });
+    }
+  });
+}
+
+// `screenshots` is "true" for the defaults or a JSON object:
+//   { viewports: ['mobile', { name, width, height }], fullPage, compareTo: jobId, diffThreshold }
+function parseScreenshotOptions(body) {
+  if (!body.screenshots || body.screenshots === 'false') return null;
+  const settings = body.screenshots === 'true' ? {} : parseJsonField(body, 'screenshots', {});
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw uploadError('INVALID_OPTIONS', 'screenshots must be "true" or a JSON object', { field: 'screenshots' });
+  }
+  const invalid = (message) => uploadError('INVALID_OPTIONS', `screenshots.${message}`, { field: 'screenshots' });
+
+  const requested = settings.viewports === undefined ? Object.keys(SCREENSHOT_VIEWPORTS) : settings.viewports;
+  if (!Array.isArray(requested) || requested.length === 0 || requested.length > 6) throw invalid('viewports must be a list of 1 to 6 viewports');
+  const viewports = requested.map((viewport) => {
+    if (typeof viewport === 'string') {
+      if (!SCREENSHOT_VIEWPORTS[viewport]) throw invalid(`viewports: unknown preset ${viewport} (use ${Object.keys(SCREENSHOT_VIEWPORTS).join(', ')})`);
+      return { name: viewport, ...SCREENSHOT_VIEWPORTS[viewport] };
+    }
+    const { name, width, height } = viewport || {};
+    if (typeof name !== 'string' || !/^[\w-]{1,32}$/.test(name)) throw invalid('viewports: a custom viewport needs a name of letters, digits, - or _');
+    if (![width, height].every(n => Number.isInteger(n) && n >= 200 && n <= 3840)) throw invalid(`viewports: ${name} needs an integer width and height between 200 and 3840`);
+    return { name, width, height };
+  });
+  if (new Set(viewports.map(viewport => viewport.name)).size !== viewports.length) throw invalid('viewports must have unique names');
+
+  if (settings.fullPage !== undefined && typeof settings.fullPage !== 'boolean') throw invalid('fullPage must be a boolean');
+  if (settings.compareTo !== undefined && typeof settings.compareTo !== 'string') throw invalid('compareTo must be a job id');
+  const diffThreshold = settings.diffThreshold === undefined ? 0.001 : Number(settings.diffThreshold);
+  if (!(diffThreshold >= 0 && diffThreshold < 1)) throw invalid('diffThreshold must be a fraction of pixels between 0 and 1');
+
+  return { viewports, fullPage: settings.fullPage !== false, compareTo: settings.compareTo, diffThreshold };
+}
+
+function parseBuildOptions(body = {}) {
+  const readiness = parseJsonField(body, 'prerenderReadiness', {});
+  try {
+    resolveReadiness(readiness, '/');
+  } catch (err) {
+    throw uploadError('INVALID_OPTIONS', err.message, { field: 'prerenderReadiness' });
+  }
+
+  let siteUrl;
+  try {
+    siteUrl = parseSiteUrl(body.siteUrl);
+  } catch (err) {
+    throw uploadError('INVALID_OPTIONS', err.message, { field: 'siteUrl' });
+  }
+
+  const theme = parseThemeOptions(body);
+
+  return {
+    routes: parseJsonField(body, 'routes', []),
+    selectedRoutes: parseJsonField(body, 'selectedRoutes', []),
+    injectGuard: body.injectRouteGuard === 'true',
+    platform: body.platform,
+    options: {
+      themeName: (body.themeName || '').toString().trim() || theme.siteName || undefined,
+      routeParams: parseJsonField(body, 'routeParams', {}),
+      siteUrl,
+      readiness,
+      prerenderConcurrency: body.prerenderConcurrency ? Number(body.prerenderConcurrency) : undefined,
+      prerenderRetries: body.prerenderRetries ? Number(body.prerenderRetries) : undefined,
+      optimizeHtml: body.optimizeHtml === 'true',
+      ignoreScripts: body.ignoreScripts === 'true',
+      project: parseProjectOverrides(body),
+      routeGuard: parseRouteGuardOptions(body),
+      theme,
+      screenshots: parseScreenshotOptions(body),
+    },
+  };
+}
+
+app.post('/build', authenticate('build'), acceptZipUpload(Object.keys(BRAND_ASSET_TYPES)), async (req, res) => {
   console.log('[ROUTE] POST /build');
   
   const jobId = uuidv4();
   const workDir = path.join(BASE_WORK_DIR, 'builds', jobId);
   const baseUrl = getBaseUrl(req);
 
-  jobs.set(jobId, { id: jobId, status: 'processing', progress: 0, startTime: Date.now() });
+  let inspection;
+  let build;
+  let webhook;
+  let brandAssets;
+  let deployTargets;
+  try {
+    inspection = await inspectZipUpload(req.file);
+    build = parseBuildOptions(req.body);
+    webhook = await parseWebhook(req.body);
+    brandAssets = parseBrandAssets(req.files);
+    deployTargets = parseDeployTargets(req.body);
+    const { screenshots } = build.options;
+    if (screenshots && screenshots.compareTo) {
+      const baseline = jobs.get(screenshots.compareTo);
+      if (!baseline || !canAccessJob(req.apiKey, baseline) || !baseline.visualReport) {
+        throw uploadError('INVALID_OPTIONS', `screenshots.compareTo: job ${screenshots.compareTo} has no screenshots to compare with`, { field: 'screenshots' });
+      }
+    }
+  } catch (error) {
+    console.log(`[Upload] Rejected: ${error.code} ${error.message}`);
+    return sendUploadError(res, error);
+  }
+
+  const assetDigests = Object.fromEntries(Object.entries(brandAssets).map(([field, asset]) => [field, asset.sha256]));
+  const fingerprint = buildFingerprint(req.apiKey.id, inspection, { ...build, brandAssets: assetDigests });
+  // A reused or shared build would never run this request's deploy targets
+  const reusable = BUILD_CACHE_ENABLED && req.body.noCache !== 'true' && deployTargets.length === 0 ? findReusableBuild(fingerprint) : null;
+  if (reusable) {
+    const { job } = reusable;
+    const statusUrl = `${baseUrl}/jobs/${job.id}`;
+    if (reusable.state === 'completed') {
+      console.log(`[Cache] Reusing artifact of ${job.id}`);
+      return res.json({
+        jobId: job.id,
+        status: job.status,
+        cached: true,
+        statusUrl,
+        downloadUrl: `${baseUrl}/download/${job.id}?t=${artifactDownloadToken(job)}`,
+      });
+    }
+    console.log(`[Cache] Attaching upload to in-flight job ${job.id}`);
+    if (webhook && !(job.webhooks || []).some(existing => existing.url === webhook.url)) {
+      updateJob(job.id, { webhooks: [...(job.webhooks || []), webhook] });
+      queueWebhooks(job.id, null, [webhook]);
+    }
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      deduplicated: true,
+      statusUrl,
+      downloadUrl: `${baseUrl}/download/${job.id}`,
+    });
+  }
+
+  if (isBuildQueueFull()) {
+    console.log(`[Queue] Rejecting build, ${buildQueue.length} already waiting, ${settingUpBuilds} being unpacked`);
+    res.set('Retry-After', '60');
+    return res.status(429).json({ error: 'Build queue is full', queueLength: buildQueue.length });
+  }
+
+  if (!consumeBuildQuota(req.apiKey)) {
+    console.log(`[AUTH] Key ${req.apiKey.id} is over its daily quota`);
+    return res.status(429).json({ error: 'Daily build quota exceeded', dailyBuildQuota: req.apiKey.dailyBuildQuota });
+  }
+
+  settingUpBuilds++;
+  jobs.set(jobId, {
+    id: jobId,
+    status: 'queued',
+    progress: 0,
+    queuePosition: buildQueue.length + 1,
+    startTime: Date.now(),
+    ownerKeyId: req.apiKey.id,
+    fingerprint,
+    ...(webhook && { webhooks: [webhook] }),
+    ...(deployTargets.length > 0 && { deploy: deployTargets.map(({ type, destination }) => ({ type, destination, status: 'pending' })) }),
+  });
+  queueWebhooks(jobId, null);
 
   res.status(202).json({
     jobId,
@@ -563,47 +4742,244 @@ app.post('/build', authenticate, upload.single('zip'), async (req, res) => {
 
   try {
     await fs.ensureDir(workDir);
-    const zip = new AdmZip(req.file.buffer);
-    zip.extractAllTo(workDir, true);
+    const written = await extractZipUpload(req.file.buffer, workDir);
+    jobLog(jobId, `Extracted ${inspection.files.length} files (${written} bytes)`);
 
-    const routes = JSON.parse(req.body.routes || '[]');
-    const selectedRoutes = JSON.parse(req.body.selectedRoutes || '[]');
-    const injectGuard = req.body.injectRouteGuard === 'true';
-
-    console.log(`[${jobId}] Routes: ${selectedRoutes.length}, Guard: ${injectGuard}`);
-    processBuild(jobId, workDir, baseUrl, req.body.platform, routes, selectedRoutes, injectGuard);
+    const { routes, selectedRoutes, injectGuard, platform, options } = build;
+    console.log(`[${jobId}] Routes: ${selectedRoutes.length}, Guard: ${injectGuard}, Platform: ${platform || 'static'}`);
+    const queued = enqueueBuild(jobId, (signal) => processBuild(jobId, workDir, baseUrl, platform, routes, selectedRoutes, injectGuard, {
+      ...options,
+      brandAssets,
+      deployTargets,
+      signal,
+    }));
+    if (!queued) refundBuildQuota(req.apiKey);
   } catch (error) {
-    console.error(`[${jobId}] Setup failed: ${error.message}`);
+    refundBuildQuota(req.apiKey);
+    const current = jobs.get(jobId);
+    if (current && TERMINAL_STATUSES.has(current.status)) {
+      await fs.remove(workDir).catch(() => {});
+      return;
+    }
+    jobLog(jobId, `Setup failed: ${error.message}`, 'error');
     updateJob(jobId, { status: 'failed', error: error.message });
+    await fs.remove(workDir).catch(() => {});
+  } finally {
+    settingUpBuilds--;
+  }
+});
+
+app.post('/analyze', authenticate('build'), acceptZipUpload(), async (req, res) => {
+  console.log('[ROUTE] POST /analyze');
+
+  let inspection;
+  try {
+    inspection = await inspectZipUpload(req.file);
+  } catch (error) {
+    console.log(`[Upload] Rejected: ${error.code} ${error.message}`);
+    return sendUploadError(res, error);
+  }
+
+  try {
+    const result = await discoverRoutesInUpload(req.file.buffer, inspection.prefix);
+    console.log(`[Analyze] Found ${result.routes.length} routes in ${result.files.join(', ') || 'no files'}`);
+    res.json(result);
+  } catch (error) {
+    console.error(`[Analyze] Failed: ${error.message}`);
+    res.status(400).json({ error: `Could not read project: ${error.message}` });
   }
 });
 
-app.get('/jobs/:jobId', authenticate, (req, res) => {
+app.get('/jobs/:jobId', authenticate('jobs:read'), (req, res) => {
   console.log(`[ROUTE] GET /jobs/${req.params.jobId}`);
   const job = jobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: 'Job not found' });
-  res.json(job);
+  if (!job || !canAccessJob(req.apiKey, job)) return res.status(404).json({ error: 'Job not found' });
+  if (job.status === 'completed' && !job.downloadUrl && !job.artifactRemovedAt) {
+    // Recovered jobs have no stored URL, so sign a fresh one for this host
+    return res.json({ ...publicJob(job), downloadUrl: `${getBaseUrl(req)}/download/${job.id}?t=${artifactDownloadToken(job)}` });
+  }
+  res.json(publicJob(job));
+});
+
+app.delete('/jobs/:jobId', authenticate('build'), async (req, res) => {
+  const { jobId } = req.params;
+  console.log(`[ROUTE] DELETE /jobs/${jobId}`);
+  const job = jobs.get(jobId);
+  if (!job || !canAccessJob(req.apiKey, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const status = await cancelBuild(jobId);
+  if (!status) return res.status(409).json({ error: `Job already ${job.status}`, status: job.status });
+  res.status(status === 'cancelled' ? 200 : 202).json(publicJob(jobs.get(jobId)));
+});
+
+app.get('/jobs/:jobId/logs', authenticate('jobs:read'), async (req, res) => {
+  const { jobId } = req.params;
+  console.log(`[ROUTE] GET /jobs/${jobId}/logs`);
+  const job = jobs.get(jobId);
+  if (!job || !canAccessJob(req.apiKey, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const lines = await readJobLog(jobId);
+  if (req.accepts(['text/event-stream', 'application/json']) === 'application/json') {
+    return res.json({ jobId, status: job.status, lines });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // EventSource resends the last id it saw on reconnect, so skip what it already has
+  let lastSentId = Number(req.get('Last-Event-ID')) || 0;
+  const sendEntry = (entry) => {
+    if (entry.id <= lastSentId) return;
+    res.write(`id: ${entry.id}\nevent: log\ndata: ${JSON.stringify(entry)}\n\n`);
+    lastSentId = entry.id;
+  };
+  const end = (status) => {
+    res.write(`event: end\ndata: ${JSON.stringify({ status })}\n\n`);
+    res.end();
+  };
+
+  lines.forEach(sendEntry);
+  const current = jobs.get(jobId);
+  if (!current || TERMINAL_STATUSES.has(current.status)) return end(current ? current.status : job.status);
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeJobLog(jobId, (event) => {
+    if (event.type === 'log') sendEntry(event.entry);
+    else if (TERMINAL_STATUSES.has(event.status)) end(event.status);
+  });
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  // Catch up on anything appended while the backlog was being read
+  const log = activeLogs.get(jobId);
+  if (log) log.lines.forEach(sendEntry);
+});
+
+app.get('/jobs/:jobId/screenshots', authenticate('jobs:read'), async (req, res) => {
+  const { jobId } = req.params;
+  console.log(`[ROUTE] GET /jobs/${jobId}/screenshots`);
+  const job = jobs.get(jobId);
+  if (!job || !canAccessJob(req.apiKey, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const report = job.visualReport && await fs.readJson(path.join(reportDirFor(jobId), 'report.json')).catch(() => null);
+  if (!report) return res.status(404).json({ error: 'No screenshots for this job' });
+
+  const fileUrl = (file) => `${getBaseUrl(req)}/jobs/${jobId}/screenshots/${file}`;
+  res.json({
+    ...report,
+    pages: report.pages.map(page => ({
+      ...page,
+      screenshots: Object.fromEntries(Object.entries(page.screenshots).map(([viewport, file]) => [viewport, fileUrl(file)])),
+      ...(page.diff && {
+        diff: Object.fromEntries(Object.entries(page.diff).map(([viewport, result]) => [viewport, result.file ? { ...result, file: fileUrl(result.file) } : result])),
+      }),
+    })),
+  });
+});
+
+app.get('/jobs/:jobId/screenshots/*', authenticate('jobs:read'), (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+  if (!job || !canAccessJob(req.apiKey, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const reportDir = reportDirFor(jobId);
+  const filePath = path.resolve(reportDir, req.params[0]);
+  if (!filePath.startsWith(reportDir + path.sep) || path.extname(filePath) !== '.png') {
+    return res.status(404).json({ error: 'Screenshot not found' });
+  }
+  res.sendFile(filePath, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Screenshot not found' });
+  });
 });
 
 app.get('/download/:jobId', authenticateDownload, async (req, res) => {
   const { jobId } = req.params;
   console.log(`[ROUTE] GET /download/${jobId}`);
 
-  const outputPath = path.join(BASE_WORK_DIR, 'outputs', `${jobId}.zip`);
+  const outputPath = path.join(OUTPUTS_DIR, `${jobId}.zip`);
+  const job = jobs.get(jobId);
 
+  // Artifacts can be fetched repeatedly until the janitor expires them
+  if (job && (job.artifactRemovedAt || (job.expiresAt && Date.now() >= job.expiresAt))) {
+    return res.status(410).json({
+      error: 'Artifact expired',
+      reason: job.artifactRemovedReason || 'expired',
+      expiredAt: new Date(job.artifactRemovedAt || job.expiresAt).toISOString(),
+    });
+  }
   if (!await fs.pathExists(outputPath)) {
     return res.status(404).json({ error: 'Artifact not found' });
   }
 
-  res.download(outputPath, 'theme.zip', async (err) => {
+  res.download(outputPath, 'theme.zip', (err) => {
     if (!err) {
       console.log(`[Download] ✓ ${jobId}`);
-      await fs.remove(outputPath).catch(() => {});
-      jobs.delete(jobId);
+      const current = jobs.get(jobId);
+      if (current) updateJob(jobId, { downloadCount: (current.downloadCount || 0) + 1, lastDownloadedAt: Date.now() });
     }
   });
 });
 
+app.get('/metrics', authenticate('metrics'), async (req, res) => {
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    console.error(`[Metrics] Failed: ${error.message}`);
+    res.status(500).json({ error: 'Could not collect metrics' });
+  }
+});
+
+// ══════════════════════════════════════════════════════════════════════════════
+// ADMIN ROUTES
+// ══════════════════════════════════════════════════════════════════════════════
+app.post('/admin/keys', authenticate('admin'), (req, res) => {
+  console.log('[ROUTE] POST /admin/keys');
+  try {
+    const { token, key } = createApiKey(req.body || {});
+    console.log(`[Admin] Created key ${key.id} (${key.label}) with ${key.scopes.join(', ')}`);
+    res.status(201).json({ ...publicApiKey(key), key: token });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/admin/keys', authenticate('admin'), (req, res) => {
+  console.log('[ROUTE] GET /admin/keys');
+  res.json({ keys: [...apiKeys.values()].map(publicApiKey) });
+});
+
+app.delete('/admin/keys/:keyId', authenticate('admin'), (req, res) => {
+  const { keyId } = req.params;
+  console.log(`[ROUTE] DELETE /admin/keys/${keyId}`);
+  const key = apiKeys.get(keyId);
+  if (!key) return res.status(404).json({ error: 'Key not found' });
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    saveApiKeys();
+    console.log(`[Admin] Revoked key ${keyId}`);
+  }
+  res.json(publicApiKey(key));
+});
+
+app.post('/admin/download-secret/rotate', authenticate('admin'), (req, res) => {
+  console.log('[ROUTE] POST /admin/download-secret/rotate');
+  try {
+    rotateDownloadSecret();
+    console.log('[Admin] Rotated download token secret');
+    res.json({ rotated: true });
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
 // ══════════════════════════════════════════════════════════════════════════════
 // 404 CATCH-ALL
 // ══════════════════════════════════════════════════════════════════════════════
@@ -615,11 +4991,19 @@ app.use((req, res) => {
 // ══════════════════════════════════════════════════════════════════════════════
 // START
 // ══════════════════════════════════════════════════════════════════════════════
-app.listen(PORT, HOST, () => {
-  console.log('='.repeat(60));
-  console.log(`✓ Server on http://${HOST}:${PORT}`);
-  console.log(`✓ CORS: Explicit headers on all responses`);
-  console.log('='.repeat(60));
-});
+// Only `node server.js` serves; the tests import the module for its helpers
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  checkSandbox();
+
+  app.listen(PORT, HOST, () => {
+    console.log('='.repeat(60));
+    console.log(`✓ Server on http://${HOST}:${PORT}`);
+    console.log(`✓ CORS: Explicit headers on all responses`);
+    startJanitor();
+    console.log(`✓ Sandbox: ${SANDBOX_MODE}${IGNORE_INSTALL_SCRIPTS ? ' (install scripts disabled)' : ''}`);
+    console.log('='.repeat(60));
+  });
+}
 
+export { parseDeployTargets, deployToTarget, optimizePrerenderedHtml };
 export default app;
@@ -0,0 +1,164 @@
+// SFTP deploys against a local ssh2 server: upload, host key pinning and
+// keeping secrets out of the errors reported on the job.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import ssh2 from 'ssh2';
+import { fileURLToPath } from 'url';
+
+process.env.JOB_STORE = 'memory';
+const { parseDeployTargets, deployToTarget } = await import('../server.js');
+
+const { STATUS_CODE } = ssh2.utils.sftp;
+const USERNAME = 'deploy';
+const PASSWORD = 'correct-horse-battery';
+// A fixed key: ssh2 occasionally generates ed25519 keys it can't parse back
+const HOST_KEY = fs.readFileSync(fileURLToPath(new URL('./fixtures/sftp-host-key', import.meta.url)));
+
+let tmpDir;
+let siteDir;
+let remoteRoot;
+let server;
+let port;
+
+// Enough of an SFTP server for ssh2-sftp-client's mkdir and put. Opening a file
+// named reject.txt fails with a message that echoes the password, as a badly
+// behaved server might.
+function startSftpServer() {
+  const local = (remotePath) => path.join(remoteRoot, path.posix.resolve('/', remotePath));
+  const attrs = (stat) => ({ mode: stat.mode, uid: 0, gid: 0, size: stat.size, atime: Math.floor(stat.atimeMs / 1000), mtime: Math.floor(stat.mtimeMs / 1000) });
+
+  server = new ssh2.Server({ hostKeys: [HOST_KEY] }, (client) => {
+    let password = null;
+    client.on('authentication', (ctx) => {
+      if (ctx.method !== 'password' || ctx.username !== USERNAME || ctx.password !== PASSWORD) return ctx.reject(['password']);
+      password = ctx.password;
+      ctx.accept();
+    });
+    client.on('ready', () => client.on('session', (acceptSession) => acceptSession().on('sftp', (acceptSftp) => {
+      const sftp = acceptSftp();
+      const handles = new Map();
+      let nextHandle = 0;
+      const fd = (handle) => handles.get(handle.readUInt32BE());
+      const stat = (reqid, remotePath) => {
+        try {
+          sftp.attrs(reqid, attrs(fs.statSync(local(remotePath))));
+        } catch {
+          sftp.status(reqid, STATUS_CODE.NO_SUCH_FILE);
+        }
+      };
+
+      sftp.on('REALPATH', (reqid, remotePath) => sftp.name(reqid, [{ filename: path.posix.resolve('/', remotePath), longname: '', attrs: {} }]));
+      sftp.on('STAT', stat);
+      sftp.on('LSTAT', stat);
+      sftp.on('MKDIR', (reqid, remotePath) => {
+        try {
+          fs.mkdirSync(local(remotePath));
+          sftp.status(reqid, STATUS_CODE.OK);
+        } catch {
+          sftp.status(reqid, STATUS_CODE.FAILURE);
+        }
+      });
+      sftp.on('OPEN', (reqid, remotePath) => {
+        if (path.posix.basename(remotePath) === 'reject.txt') {
+          return sftp.status(reqid, STATUS_CODE.PERMISSION_DENIED, `user ${USERNAME} (password ${password}) may not write here`);
+        }
+        const handle = Buffer.alloc(4);
+        handle.writeUInt32BE(++nextHandle);
+        handles.set(nextHandle, fs.openSync(local(remotePath), 'w'));
+        sftp.handle(reqid, handle);
+      });
+      sftp.on('WRITE', (reqid, handle, offset, data) => {
+        fs.writeSync(fd(handle), data, 0, data.length, offset);
+        sftp.status(reqid, STATUS_CODE.OK);
+      });
+      sftp.on('FSTAT', (reqid, handle) => sftp.attrs(reqid, attrs(fs.fstatSync(fd(handle)))));
+      sftp.on('CLOSE', (reqid, handle) => {
+        if (fd(handle) !== undefined) fs.closeSync(fd(handle));
+        handles.delete(handle.readUInt32BE());
+        sftp.status(reqid, STATUS_CODE.OK);
+      });
+    })));
+    client.on('error', () => {});
+  });
+
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+function hostFingerprint() {
+  const publicKey = ssh2.utils.parseKey(HOST_KEY).getPublicSSH();
+  return `SHA256:${crypto.createHash('sha256').update(publicKey).digest('base64').replace(/=+$/, '')}`;
+}
+
+function sftpTarget(overrides = {}) {
+  const config = { type: 'sftp', host: '127.0.0.1', port, username: USERNAME, password: PASSWORD, remoteDir: '/site', ...overrides };
+  return parseDeployTargets({ deploy: JSON.stringify([config]) })[0];
+}
+
+function deploy(target, localDir = siteDir) {
+  return deployToTarget('test-job', localDir, target, {}, { onProgress: () => {} });
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'deploy-sftp-'));
+  siteDir = path.join(tmpDir, 'site');
+  remoteRoot = path.join(tmpDir, 'remote');
+  await fs.outputFile(path.join(siteDir, 'index.html'), '<h1>Home</h1>');
+  await fs.outputFile(path.join(siteDir, 'assets/app.js'), 'console.log("app");');
+  await fs.ensureDir(remoteRoot);
+  port = await startSftpServer();
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.remove(tmpDir);
+});
+
+test('uploads every file under remoteDir and reports the host fingerprint', async () => {
+  const result = await deploy(sftpTarget());
+
+  assert.equal(result.status, 'completed', result.error);
+  assert.equal(result.filesUploaded, 2);
+  assert.equal(result.hostFingerprint, hostFingerprint());
+  assert.equal(await fs.readFile(path.join(remoteRoot, 'site/index.html'), 'utf-8'), '<h1>Home</h1>');
+  assert.equal(await fs.readFile(path.join(remoteRoot, 'site/assets/app.js'), 'utf-8'), 'console.log("app");');
+});
+
+test('deploys when the pinned fingerprint matches', async () => {
+  const result = await deploy(sftpTarget({ remoteDir: '/pinned', hostFingerprint: hostFingerprint() }));
+
+  assert.equal(result.status, 'completed', result.error);
+  assert.ok(await fs.pathExists(path.join(remoteRoot, 'pinned/index.html')));
+});
+
+test('refuses a host whose key does not match the pinned fingerprint', async () => {
+  const pinned = `SHA256:${crypto.createHash('sha256').update('some other host key').digest('base64')}`;
+  const result = await deploy(sftpTarget({ remoteDir: '/mismatch', hostFingerprint: pinned }));
+
+  assert.equal(result.status, 'failed');
+  assert.equal(result.filesUploaded, 0);
+  assert.equal(result.hostFingerprint, hostFingerprint());
+  assert.ok(!await fs.pathExists(path.join(remoteRoot, 'mismatch')));
+});
+
+test('reports a rejected password without echoing it', async () => {
+  const wrongPassword = 'not-the-right-one';
+  const result = await deploy(sftpTarget({ password: wrongPassword }));
+
+  assert.equal(result.status, 'failed');
+  assert.ok(result.error);
+  assert.ok(!result.error.includes(wrongPassword), result.error);
+});
+
+test('redacts secrets that the server echoes in an error', async () => {
+  const localDir = path.join(tmpDir, 'rejected');
+  await fs.outputFile(path.join(localDir, 'reject.txt'), 'nope');
+  const result = await deploy(sftpTarget({ remoteDir: '/rejected' }), localDir);
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.error, /password \*\*\*/);
+  assert.ok(!result.error.includes(PASSWORD), result.error);
+});
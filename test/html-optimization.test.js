@@ -0,0 +1,53 @@
+// Critical CSS and preload hints for apps whose assets don't live at the site root
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+process.env.JOB_STORE = 'memory';
+const { optimizePrerenderedHtml } = await import('../server.js');
+
+let tmpDir;
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'html-optimization-'));
+});
+
+after(async () => {
+  await fs.remove(tmpDir);
+});
+
+async function writeDist(name, assetBase) {
+  const distDir = path.join(tmpDir, name);
+  const page = [
+    '<!doctype html><html><head>',
+    `<link rel="stylesheet" href="${assetBase}assets/app.css">`,
+    `<script type="module" src="${assetBase}assets/app.js"></script>`,
+    `<link rel="modulepreload" href="${assetBase}assets/chunk.js">`,
+    '</head><body><div class="hero">Hi</div></body></html>',
+  ].join('');
+  await fs.outputFile(path.join(distDir, 'assets/app.css'), '.hero{color:red}.unused{color:blue}');
+  await fs.outputFile(path.join(distDir, 'assets/app.js'), 'import "./chunk.js";');
+  await fs.outputFile(path.join(distDir, 'assets/chunk.js'), 'export {};');
+  await fs.outputFile(path.join(distDir, 'index.html'), page);
+  await fs.outputFile(path.join(distDir, 'about/index.html'), page);
+  return distDir;
+}
+
+for (const assetBase of ['/blog/', './']) {
+  test(`inlines critical CSS and preloads modules under the ${assetBase} base`, async () => {
+    const distDir = await writeDist(assetBase === './' ? 'relative' : 'subpath', assetBase);
+    const report = await optimizePrerenderedHtml(distDir, ['/', '/about'], 'test-job', assetBase);
+
+    assert.deepEqual(report.errors, []);
+    for (const route of ['', 'about']) {
+      const html = await fs.readFile(path.join(distDir, route, 'index.html'), 'utf-8');
+      assert.match(html, /<style>[^<]*\.hero\{color:red\}/, `critical CSS missing for /${route}`);
+      assert.ok(html.includes(`href="${assetBase}assets/app.css"`), html);
+      assert.ok(html.includes(`<link rel="modulepreload" crossorigin href="${assetBase}assets/app.js">`), html);
+      assert.equal(html.split(`${assetBase}assets/chunk.js`).length - 1, 1, 'chunk.js preloaded twice');
+      assert.ok(!html.includes('href="/assets/'), html);
+    }
+  });
+}
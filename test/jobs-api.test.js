@@ -0,0 +1,135 @@
+// Job routes over HTTP, with a local receiver for the job's webhooks
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import AdmZip from 'adm-zip';
+
+process.env.JOB_STORE = 'memory';
+process.env.BUILD_CACHE = 'off';
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+// The local receiver is exempt; any other internal address must be refused
+process.env.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+const { default: app } = await import('../server.js');
+
+const API_KEY = process.env.API_KEY || 'dev-key';
+const CALLBACK_SECRET = 'whsec-do-not-leak';
+
+let server;
+let baseUrl;
+let receiver;
+let callbackUrl;
+
+function listen(target) {
+  return new Promise((resolve) => {
+    const instance = target.listen(0, '127.0.0.1', () => resolve(instance));
+  });
+}
+
+function projectZip() {
+  const zip = new AdmZip();
+  zip.addFile('package.json', Buffer.from(JSON.stringify({ name: 'site', scripts: { build: 'node build.js' } })));
+  zip.addFile('build.js', Buffer.from("require('fs').mkdirSync('dist', { recursive: true }); require('fs').writeFileSync('dist/index.html', '<h1>Hi</h1>');"));
+  return zip.toBuffer();
+}
+
+async function api(method, path, body) {
+  const response = await fetch(`${baseUrl}${path}`, { method, body, headers: { Authorization: `Bearer ${API_KEY}` } });
+  return { status: response.status, text: await response.text() };
+}
+
+before(async () => {
+  server = await listen(app);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  receiver = await listen(http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => res.end());
+  }));
+  callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  receiver.closeAllConnections();
+  await new Promise((resolve) => receiver.close(resolve));
+});
+
+async function waitForJob(jobId, timeoutMs = 60000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = JSON.parse((await api('GET', `/jobs/${jobId}`)).text);
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error(`Job ${jobId} did not finish in ${timeoutMs} ms`);
+}
+
+function buildForm(fields = {}) {
+  const form = new FormData();
+  form.append('zip', new Blob([projectZip()]), 'site.zip');
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+}
+
+test('cancelling a job does not return its callback secret', async () => {
+  const created = await api('POST', '/build', buildForm({ callbackUrl, callbackSecret: CALLBACK_SECRET }));
+  assert.equal(created.status, 202, created.text);
+  const { jobId } = JSON.parse(created.text);
+
+  const cancelled = await api('DELETE', `/jobs/${jobId}`);
+  assert.ok([200, 202].includes(cancelled.status), cancelled.text);
+  assert.ok(!cancelled.text.includes(CALLBACK_SECRET), cancelled.text);
+  assert.deepEqual(JSON.parse(cancelled.text).webhooks, [{ url: callbackUrl, signed: true }]);
+});
+
+for (const url of [
+  'http://169.254.169.254/latest/meta-data/',
+  'http://10.0.0.8/hook',
+  'http://[::1]/hook',
+  'http://[::ffff:127.0.0.1]/hook',
+  'http://2852039166/hook',
+  'http://localhost/hook',
+]) {
+  test(`refuses a callback to the internal address ${url}`, async () => {
+    const rejected = await api('POST', '/build', buildForm({ callbackUrl: url }));
+
+    assert.equal(rejected.status, 400, rejected.text);
+    const body = JSON.parse(rejected.text);
+    assert.equal(body.code, 'INVALID_OPTIONS');
+    assert.equal(body.details.field, 'callbackUrl');
+  });
+}
+
+test('the download link on a finished job still works after 30 minutes', async () => {
+  const created = await api('POST', '/build', buildForm());
+  assert.equal(created.status, 202, created.text);
+  const job = await waitForJob(JSON.parse(created.text).jobId);
+  assert.equal(job.status, 'completed', job.error);
+
+  mock.timers.enable({ apis: ['Date'], now: Date.now() + 31 * 60 * 1000 });
+  try {
+    const download = await fetch(job.downloadUrl);
+    assert.equal(download.status, 200);
+    await download.arrayBuffer();
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('a malformed deploy config is rejected without echoing its credentials', async () => {
+  // An unquoted value makes JSON.parse quote it back in its error message
+  const password = 'pa55w0rd';
+  const logged = [];
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, (...args) => logged.push(args.join(' ')));
+  let rejected;
+  try {
+    rejected = await api('POST', '/build', buildForm({ deploy: `[{"type":"sftp","host":"example.com","password":${password}}]` }));
+  } finally {
+    mock.restoreAll();
+  }
+
+  assert.equal(rejected.status, 400, rejected.text);
+  assert.equal(JSON.parse(rejected.text).details.field, 'deploy');
+  assert.ok(!rejected.text.includes(password), rejected.text);
+  assert.ok(logged.some(line => line.includes('[Upload] Rejected')), 'rejection was not logged');
+  assert.ok(!logged.some(line => line.includes(password)), logged.join('\n'));
+});